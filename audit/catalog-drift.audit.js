@@ -0,0 +1,28 @@
+import fs from 'fs';
+import { test, expect } from '@playwright/test';
+import { CatalogScraper, readCatalogSnapshot, writeCatalogSnapshot } from '../utils/catalog-scraper.js';
+import { approvedCatalogPath, approveCommand, countDrift, diffCatalogs, formatDriftReport } from '../utils/catalog-drift.js';
+import { getEnvironment } from '../config/environments.js';
+
+test('catalog drift', async ({ page }, testInfo) => {
+  test.setTimeout(10 * 60 * 1000);
+
+  const { name: environment } = getEnvironment();
+  const baselineFile = approvedCatalogPath(environment);
+  const products = await new CatalogScraper(page).scrape();
+  writeCatalogSnapshot(products);
+
+  if (!fs.existsSync(baselineFile)) {
+    throw new Error(`No approved catalog at ${baselineFile}. The catalog just scraped can be approved with "${approveCommand(environment)}".`);
+  }
+
+  const baseline = readCatalogSnapshot(baselineFile);
+  const drift = diffCatalogs(baseline.products, products);
+  const report = formatDriftReport(drift, { environment, baselineDate: baseline.scrapedAt });
+
+  console.log(`\n${countDrift(drift) === 0 ? '✅' : '⚠️ '} ${report}`);
+  await testInfo.attach('catalog-drift.txt', { body: report, contentType: 'text/plain' });
+  await testInfo.attach('catalog-drift.json', { body: JSON.stringify(drift, null, 2), contentType: 'application/json' });
+
+  expect(countDrift(drift), report).toBe(0);
+});
@@ -0,0 +1,29 @@
+import path from 'path';
+import { test, expect } from '@playwright/test';
+import { CatalogScraper, catalogSnapshotPath, writeCatalogSnapshot } from '../utils/catalog-scraper.js';
+
+test('catalog snapshot', async ({ page }, testInfo) => {
+  test.setTimeout(10 * 60 * 1000);
+
+  const products = await new CatalogScraper(page).scrape();
+
+  expect(products.length, 'products found on the storefront').toBeGreaterThan(0);
+  for (const product of products) {
+    expect(product.price, `price of ${product.name}`).toBeGreaterThan(0);
+  }
+
+  const file = catalogSnapshotPath();
+  const snapshot = writeCatalogSnapshot(products, file);
+  const lines = new Set(products.map(product => product.line).filter(Boolean));
+  console.log(`\n📦 ${products.length} products across ${lines.size} lines written to ${path.relative(process.cwd(), file)}`);
+
+  const unlisted = products.filter(product => !product.line);
+  if (unlisted.length > 0) {
+    console.warn(`⚠️  Only on the homepage grid: ${unlisted.map(product => product.name).join(', ')}`);
+  }
+
+  await testInfo.attach('catalog.json', {
+    body: JSON.stringify(snapshot, null, 2),
+    contentType: 'application/json'
+  });
+});
@@ -0,0 +1,151 @@
+import { test } from '@playwright/test';
+import { HomePage } from '../pages/HomePage.js';
+import { TequilaPage } from '../pages/TequilaPage.js';
+import { CategoryPage } from '../pages/CategoryPage.js';
+import { BlogPage } from '../pages/BlogPage.js';
+import { AdminPage } from '../pages/AdminPage.js';
+import { lookupSelector, findMatchingStrategy } from '../utils/selector-registry.js';
+import { categories } from '../config/categories.js';
+
+const MAX_VISIBILITY_CHECKS = 50;
+
+const audits = [
+  {
+    pageObject: HomePage,
+    states: [
+      { name: 'loaded', setup: homePage => homePage.navigateToHome() },
+      {
+        name: 'cart open',
+        setup: async homePage => {
+          await homePage.addFirstProductToCart();
+          await homePage.openCart();
+        }
+      }
+    ]
+  },
+  {
+    pageObject: TequilaPage,
+    states: [
+      { name: 'loaded', setup: tequilaPage => tequilaPage.navigateToTequilaPage() },
+      {
+        name: 'quick view',
+        setup: async tequilaPage => tequilaPage.viewTequilaDetails(await tequilaPage.getFirstTequila())
+      }
+    ]
+  },
+  ...Object.keys(categories).filter(line => line !== 'tequila').map(line => ({
+    name: `CategoryPage (${line})`,
+    pageObject: CategoryPage,
+    args: [line],
+    states: [
+      { name: 'loaded', setup: categoryPage => categoryPage.navigateToCategoryPage() },
+      {
+        name: 'quick view',
+        setup: async categoryPage => categoryPage.viewProductDetails(await categoryPage.getFirstProduct())
+      }
+    ]
+  })),
+  {
+    pageObject: BlogPage,
+    states: [
+      { name: 'listing', setup: blogPage => blogPage.navigateToBlog() },
+      { name: 'second page', setup: blogPage => blogPage.nextPage() },
+      { name: 'article', setup: blogPage => blogPage.openPost(0) }
+    ]
+  },
+  {
+    pageObject: AdminPage,
+    states: [
+      { name: 'login form', setup: adminPage => adminPage.navigateToAdmin() },
+      { name: 'products', setup: adminPage => adminPage.login() },
+      { name: 'product form', setup: adminPage => adminPage.openNewProductForm() }
+    ]
+  }
+];
+
+function selectorProperties(pageObject) {
+  return Object.entries(pageObject).filter(([, value]) => typeof value === 'string');
+}
+
+async function measure(page, selector) {
+  const locator = page.locator(selector);
+  const count = await locator.count();
+  let visible = 0;
+
+  for (let i = 0; i < Math.min(count, MAX_VISIBILITY_CHECKS); i++) {
+    if (await locator.nth(i).isVisible()) {
+      visible++;
+    }
+  }
+
+  return { count, visible };
+}
+
+function statusFor(row, entry) {
+  if (row.count === 0) {
+    return 'DEAD';
+  }
+  if (entry?.unique && row.count > 1) {
+    return 'AMBIGUOUS';
+  }
+  if (row.visible === 0) {
+    return 'HIDDEN';
+  }
+  if (row.strategyIndex > 0) {
+    return 'LEGACY';
+  }
+  return 'OK';
+}
+
+for (const audit of audits) {
+  const name = audit.name || audit.pageObject.name;
+
+  test(`${name} selector health`, async ({ page }, testInfo) => {
+    const pageObject = new audit.pageObject(page, ...(audit.args || []));
+    const rows = new Map();
+
+    for (const state of audit.states) {
+      try {
+        await state.setup(pageObject);
+      } catch (error) {
+        console.warn(`⚠️  ${name}: could not reach "${state.name}" state: ${error.message.split('\n')[0]}`);
+        continue;
+      }
+
+      for (const [property, selector] of selectorProperties(pageObject)) {
+        if (rows.get(property)?.count > 0) {
+          continue;
+        }
+
+        const entry = lookupSelector(selector);
+        const match = entry ? await findMatchingStrategy(page, entry) : null;
+        rows.set(property, {
+          property,
+          registry: entry?.name || '-',
+          state: state.name,
+          ...await measure(page, selector),
+          expected: entry?.unique ? 'one' : 'any',
+          strategyIndex: match ? match.index : -1,
+          strategy: match ? match.strategy : '-'
+        });
+      }
+    }
+
+    const report = [...rows.values()].map(row => ({
+      ...row,
+      state: row.count > 0 ? row.state : '-',
+      status: statusFor(row, lookupSelector(pageObject[row.property]))
+    }));
+
+    console.log(`\n🔎 ${name} (${page.url()})`);
+    console.table(report.map(({ strategyIndex, ...row }) => row));
+
+    const counts = report.reduce((totals, row) => ({ ...totals, [row.status]: (totals[row.status] || 0) + 1 }), {});
+    console.log(`📋 ${Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(', ')}`);
+
+    await testInfo.attach(`${name}-selector-health.json`, {
+      body: JSON.stringify(report, null, 2),
+      contentType: 'application/json'
+    });
+  });
+}
@@ -0,0 +1,66 @@
+const drinkFields = ['name', 'brand', 'type', 'price', 'image', 'alcohol'];
+const foodFields = ['name', 'brand', 'type', 'price', 'image'];
+
+const categories = {
+  tequila: {
+    title: 'Tequila',
+    path: '/tequila',
+    keyword: 'tequila',
+    plural: 'tequilas',
+    tabs: ['blanco', 'reposado', 'anejo', 'extra-anejo'],
+    brand: 'Don Julio',
+    fields: drinkFields,
+    featured: true
+  },
+  mezcal: {
+    title: 'Mezcal',
+    path: '/mezcal',
+    keyword: 'mezcal',
+    plural: 'mezcales',
+    tabs: ['joven', 'espadin'],
+    brand: 'Del Maguey',
+    fields: drinkFields,
+    featured: false
+  },
+  cerveza: {
+    title: 'Cerveza',
+    path: '/cerveza',
+    keyword: 'cerveza',
+    plural: 'cervezas',
+    tabs: ['lager', 'oscura'],
+    brand: 'Modelo',
+    fields: drinkFields,
+    featured: false
+  },
+  dulces: {
+    title: 'Dulces',
+    path: '/dulces',
+    keyword: 'dulces',
+    plural: 'dulces',
+    tabs: ['mazapan', 'tamarindo', 'cajeta'],
+    brand: 'De la Rosa',
+    fields: foodFields,
+    featured: false
+  },
+  condimentos: {
+    title: 'Condimentos',
+    path: '/condimentos',
+    keyword: 'condimentos',
+    plural: 'condimentos',
+    tabs: ['salsa-picante', 'chiles-en-escabeche', 'sazonador', 'mole'],
+    brand: 'Valentina',
+    fields: foodFields,
+    featured: false
+  }
+};
+
+function getCategory(line) {
+  const category = categories[line];
+  if (!category) {
+    throw new Error(`Unknown category "${line}". Expected one of: ${Object.keys(categories).join(', ')}`);
+  }
+
+  return { ...category, line };
+}
+
+module.exports = { categories, getCategory };
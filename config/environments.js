@@ -0,0 +1,85 @@
+const defaultBudgets = {
+  homepageLoad: 3000,
+  pageLoad: 5000,
+  firstContentfulPaint: 2000,
+  largestContentfulPaint: 2500,
+  cssLoad: 1000,
+  jsLoad: 2000,
+  addToCart: 1500,
+  cartOpen: 500,
+  cartOpenUnderLoad: 2000,
+  scroll: 3000
+};
+
+const adminFromEnv = () => process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD
+  ? { email: process.env.ADMIN_EMAIL, password: process.env.ADMIN_PASSWORD }
+  : null;
+
+const mockAdmin = { email: 'admin@galeriamexicanacr.com', password: 'mock-admin' };
+
+const environments = {
+  local: {
+    baseURL: 'http://localhost:3000',
+    canonicalHost: null,
+    whatsappPhone: '50687396001',
+    mockServer: true,
+    admin: adminFromEnv(),
+    readinessTimeout: 30 * 1000,
+    budgets: defaultBudgets,
+    excludedSuites: [],
+    excludedTags: []
+  },
+  staging: {
+    baseURL: process.env.STAGING_URL,
+    canonicalHost: null,
+    whatsappPhone: '50687396001',
+    mockServer: false,
+    admin: adminFromEnv(),
+    readinessTimeout: 60 * 1000,
+    budgets: defaultBudgets,
+    excludedSuites: [],
+    excludedTags: []
+  },
+  production: {
+    baseURL: 'https://galeriamexicanacr.com',
+    canonicalHost: 'galeriamexicanacr.com',
+    whatsappPhone: '50687396001',
+    mockServer: false,
+    admin: null,
+    readinessTimeout: 60 * 1000,
+    budgets: defaultBudgets,
+    excludedSuites: ['admin'],
+    excludedTags: ['@destructive']
+  }
+};
+
+function getEnvironment(name = process.env.TEST_ENV || 'local') {
+  const profile = environments[name];
+  if (!profile) {
+    throw new Error(`Unknown TEST_ENV "${name}". Expected one of: ${Object.keys(environments).join(', ')}`);
+  }
+
+  const baseURL = process.env.BASE_URL || profile.baseURL;
+  if (!baseURL) {
+    throw new Error(`No base URL configured for the "${name}" environment. Set BASE_URL${name === 'staging' ? ' or STAGING_URL' : ''}.`);
+  }
+
+  const mockServer = profile.mockServer && !process.env.BASE_URL;
+  // The mock credentials only work on the mock; a BASE_URL override may point at a real store.
+  const admin = profile.admin || (mockServer ? mockAdmin : null);
+  // Destructive tests are only safe on the target a profile was written for; a mock profile sent elsewhere isn't.
+  const excludedTags = profile.mockServer && !mockServer ? [...new Set([...profile.excludedTags, '@destructive'])] : profile.excludedTags;
+
+  return {
+    ...profile,
+    name,
+    baseURL,
+    canonicalHost: profile.canonicalHost || new URL(baseURL).host,
+    mockServer,
+    admin,
+    excludedSuites: admin ? profile.excludedSuites : [...new Set([...profile.excludedSuites, 'admin'])],
+    excludedTags
+  };
+}
+
+module.exports = { environments, getEnvironment };
@@ -0,0 +1,127 @@
+import { test as base, expect } from '@playwright/test';
+import { HomePage } from '../pages/HomePage.js';
+import { TequilaPage } from '../pages/TequilaPage.js';
+import { CategoryPage } from '../pages/CategoryPage.js';
+import { BlogPage } from '../pages/BlogPage.js';
+import { AdminPage } from '../pages/AdminPage.js';
+import { CartModal } from '../pages/components/CartModal.js';
+import { TestHelpers, TestDataGenerator } from '../utils/test-helpers.js';
+import { ShadowCart } from '../utils/shadow-cart.js';
+import { getEnvironment } from '../config/environments.js';
+import { storageStatePath } from '../utils/storage-states.js';
+import { routeContextFromHar } from '../utils/har-archive.js';
+import { findQuarantineEntry, getQuarantineMode } from '../utils/quarantine.js';
+
+export const WHATSAPP_URL = 'https://api.whatsapp.com/**';
+
+const startPages = {
+  home: ({ homePage }) => homePage.navigateToHome(),
+  tequila: ({ tequilaPage }) => tequilaPage.navigateToTequilaPage(),
+  category: ({ categoryPage }) => categoryPage.navigateToCategoryPage(),
+  blog: ({ blogPage }) => blogPage.navigateToBlog(),
+  admin: ({ adminPage }) => adminPage.navigateToAdmin()
+};
+
+export const test = base.extend({
+  startPage: [null, { option: true }],
+  seedCart: [0, { option: true }],
+  startState: [null, { option: true }],
+  harArchive: [null, { option: true }],
+  category: ['tequila', { option: true }],
+
+  storageState: async ({ storageState, startState }, use) => {
+    await use(startState ? storageStatePath(startState) : storageState);
+  },
+
+  context: async ({ context, harArchive }, use, testInfo) => {
+    if (harArchive) {
+      await routeContextFromHar(context, harArchive, testInfo.testId);
+    }
+    // Checkout and the floating button open WhatsApp in a popup; answer it locally so no test leaves the box.
+    await context.route(WHATSAPP_URL, route => route.fulfill({ status: 200, contentType: 'text/html', body: '' }));
+    await use(context);
+  },
+
+  environment: async ({}, use) => {
+    await use(getEnvironment());
+  },
+
+  helpers: async ({ page }, use) => {
+    await use(new TestHelpers(page));
+  },
+
+  dataGenerator: async ({}, use) => {
+    await use(TestDataGenerator);
+  },
+
+  cartModal: async ({ page, helpers }, use) => {
+    await use(new CartModal(page, helpers));
+  },
+
+  shadowCart: async ({ page, cartModal, landing }, use) => {
+    // The model starts from whatever cart the test starts with (seedCart, startState), so the drawer must be reachable.
+    if (page.url() === 'about:blank') {
+      await page.goto('/');
+    }
+    await cartModal.seedShadow();
+    const shadowCart = ShadowCart.for(page);
+    shadowCart.checking = true;
+    await use(shadowCart);
+  },
+
+  homePage: async ({ page }, use) => {
+    await use(new HomePage(page));
+  },
+
+  tequilaPage: async ({ page }, use) => {
+    await use(new TequilaPage(page));
+  },
+
+  categoryPage: async ({ page, category }, use) => {
+    await use(new CategoryPage(page, category));
+  },
+
+  blogPage: async ({ page }, use) => {
+    await use(new BlogPage(page));
+  },
+
+  adminPage: async ({ page }, use) => {
+    await use(new AdminPage(page));
+  },
+
+  quarantine: [async ({}, use, testInfo) => {
+    const entry = findQuarantineEntry(testInfo.titlePath);
+    const mode = getQuarantineMode();
+
+    if (entry && mode !== 'strict') {
+      testInfo.annotations.push({ type: 'quarantined', description: entry.reason });
+      testInfo.skip(mode === 'skip', `Quarantined: ${entry.reason}`);
+    }
+
+    await use(entry);
+
+    if (entry && mode === 'tolerate' && testInfo.status !== testInfo.expectedStatus) {
+      console.warn(`⚠️  Quarantined test ${testInfo.status}: ${testInfo.title}`);
+      testInfo.expectedStatus = testInfo.status;
+    }
+  }, { auto: true }],
+
+  landing: [async ({ homePage, tequilaPage, categoryPage, blogPage, adminPage, startPage, seedCart }, use) => {
+    if (startPage && !startPages[startPage]) {
+      throw new Error(`Unknown startPage "${startPage}". Expected one of: ${Object.keys(startPages).join(', ')}`);
+    }
+
+    if (seedCart > 0) {
+      await homePage.navigateToHome();
+      await homePage.addInStockProductsToCart(seedCart);
+    }
+
+    if (startPage && !(startPage === 'home' && seedCart > 0)) {
+      await startPages[startPage]({ homePage, tequilaPage, categoryPage, blogPage, adminPage });
+    }
+
+    await use(startPage);
+  }, { auto: true }]
+});
+
+export { expect };
@@ -1,3 +1,12 @@
+const fs = require('fs');
+const { getEnvironment } = require('./config/environments');
+const { probeReadiness } = require('./utils/readiness-probe');
+const { generateStorageStates } = require('./utils/storage-states');
+const { getHarMode, RECORDINGS_DIR } = require('./utils/har-archive');
+const { getQuarantineMode, loadQuarantine } = require('./utils/quarantine');
+const { getShard } = require('./utils/shard');
+const { projectBrowsers, selectedProjects } = require('./utils/projects');
+
 async function globalSetup(config) {
   console.log('🚀 Starting Galeria Mexicana E2E Test Suite Setup...');
 
@@ -12,15 +21,58 @@ async function globalSetup(config) {
   process.env.NODE_ENV = process.env.NODE_ENV || 'test';
   
   
-  console.log(`📋 Base URL: ${config.use?.baseURL || 'https://galeriamexicanacr.com/'}`);
+  const environment = getEnvironment();
+
+  console.log(`🌎 Environment Profile: ${environment.name}`);
+  console.log(`📋 Base URL: ${environment.baseURL}`);
+  console.log(`🔗 Canonical Host: ${environment.canonicalHost}`);
   console.log(`🔧 Test Environment: ${process.env.NODE_ENV || 'test'}`);
-  console.log(`🖥️  Projects: ${config.projects?.map(p => p.name).join(', ') || 'chromium'}`);
+  if (environment.excludedSuites.length > 0) {
+    console.log(`🚫 Excluded Suites: ${environment.excludedSuites.join(', ')}`);
+  }
+  if (environment.excludedTags.length > 0) {
+    console.log(`🚫 Excluded Tags: ${environment.excludedTags.join(', ')}`);
+  }
+  if (config.shard) {
+    console.log(`🧩 Shard: ${config.shard.current}/${config.shard.total}`);
+    if (!getShard()) {
+      console.warn('⚠️  --shard without SHARD: this shard writes the regular reports instead of a blob report for merging');
+    }
+  }
+  const harMode = getHarMode();
+  if (harMode) {
+    console.log(`📼 HAR Mode: ${harMode}`);
+  }
+  if (harMode === 'record' && config.shard) {
+    throw new Error('HAR_MODE=record cannot be sharded: every shard would rewrite the same archives. Record without --shard.');
+  }
+  if (harMode === 'record') {
+    fs.rmSync(RECORDINGS_DIR, { recursive: true, force: true });
+  }
+  const quarantine = loadQuarantine();
+  if (quarantine.size > 0) {
+    console.log(`🧪 Quarantined Tests: ${quarantine.size} (${getQuarantineMode()})`);
+  }
+  const projects = selectedProjects(config);
+  console.log(`🖥️  Projects: ${projects.map(p => p.name).join(', ')}`);
   
   
-  if (config.webServer) {
-    console.log('⏳ Waiting for development server to be ready...');
-    
-    await new Promise(resolve => setTimeout(resolve, 3000));
+  const browsers = projectBrowsers(projects);
+  console.log(`⏳ Probing ${environment.baseURL} for readiness in ${browsers.map(browser => browser.name).join(', ')}...`);
+  const readyPages = await probeReadiness({
+    baseURL: environment.baseURL,
+    timeout: environment.readinessTimeout,
+    browsers
+  });
+  console.log(`🟢 Target is ready: ${readyPages.join(', ')}`);
+
+  const { generated, skipped } = await generateStorageStates({
+    baseURL: environment.baseURL,
+    browser: browsers[0]
+  });
+  console.log(`🍪 Storage states: ${generated.join(', ')}`);
+  if (skipped.length > 0) {
+    console.log(`⏭️  Skipped storage states: ${skipped.join(', ')} (no admin credentials for ${environment.name}; set ADMIN_EMAIL / ADMIN_PASSWORD)`);
   }
 
   console.log('✅ Global setup completed successfully!');
@@ -1,6 +1,20 @@
+const { getHarMode, mergeRecordings } = require('./utils/har-archive');
+const { getShard, shardName } = require('./utils/shard');
+
 async function globalTeardown(config) {
   console.log('🧹 Starting Galeria Mexicana E2E Test Suite Teardown...');
 
+  const shard = getShard();
+
+  if (shard) {
+    console.log(`🧩 Shard ${shard.current}/${shard.total} completed`);
+    console.log(`📁 Test artifacts saved to: test-results/${shardName(shard)}`);
+    console.log(`📦 Blob report: blob-report/${shardName(shard)}`);
+    console.log('🔗 Merge all shards into test-results/ and print the run summary with: npm run report:merge');
+    console.log('✅ Global teardown completed successfully!');
+    return;
+  }
+
   console.log('📊 Test execution completed');
   console.log(`📁 Test artifacts saved to: ${process.env.PLAYWRIGHT_TEST_RESULTS || 'test-results'}`);
   console.log('📋 Available reports:');
@@ -8,6 +22,12 @@ async function globalTeardown(config) {
   console.log('  - JSON Results: test-results/results.json');
   console.log('  - JUnit XML: test-results/junit.xml');
 
+  if (getHarMode() === 'record') {
+    const archives = mergeRecordings();
+    console.log(`📼 Recorded ${archives.length} HAR archive(s):`);
+    archives.forEach(archive => console.log(`  - hars/${archive.name}.har: ${archive.entries} requests from ${archive.tests} tests`));
+  }
+
   console.log('✅ Global teardown completed successfully!');
 }
 
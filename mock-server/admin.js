@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { categories, products, slugify } = require('./catalog');
+
+const SESSION_COOKIE = 'admin_session';
+const SANDBOX_COOKIE = 'catalog_sandbox';
+const SESSION_TTL_SECONDS = parseInt(process.env.MOCK_ADMIN_SESSION_TTL, 10) || 30 * 60;
+const SANDBOX_TTL_SECONDS = 24 * 60 * 60;
+
+const credentials = {
+  email: process.env.ADMIN_EMAIL || 'admin@galeriamexicanacr.com',
+  password: process.env.ADMIN_PASSWORD || 'mock-admin'
+};
+
+const productLines = {
+  tequila: categories['bebidas-alcoholicas'],
+  mezcal: categories['bebidas-alcoholicas'],
+  cerveza: categories['bebidas-alcoholicas'],
+  dulces: categories['dulces'],
+  condimentos: categories['condimentos']
+};
+
+const sessions = new Map();
+const sandboxes = new Map();
+
+function parseCookies(req) {
+  return Object.fromEntries((req.headers.cookie || '')
+    .split(';')
+    .map(pair => pair.trim().split('='))
+    .filter(([name]) => name)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+}
+
+function cookie(name, value, maxAge) {
+  return `${name}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}`;
+}
+
+// Called whenever an entry is added, so a long-running mock server only keeps live sessions and sandboxes.
+function pruneExpired(entries) {
+  const now = Date.now();
+  for (const [key, { expiresAt }] of entries) {
+    if (expiresAt < now) {
+      entries.delete(key);
+    }
+  }
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+  });
+}
+
+function getSession(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (!token) {
+    return { status: 'anonymous' };
+  }
+
+  const session = sessions.get(token);
+  if (!session || session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return { status: 'expired' };
+  }
+
+  return { status: 'active', token };
+}
+
+function login({ email, password }) {
+  if (email !== credentials.email || password !== credentials.password) {
+    return null;
+  }
+
+  pruneExpired(sessions);
+  const token = crypto.randomUUID();
+  sessions.set(token, { expiresAt: Date.now() + SESSION_TTL_SECONDS * 1000 });
+  return cookie(SESSION_COOKIE, token, SESSION_TTL_SECONDS);
+}
+
+function logout(req) {
+  sessions.delete(parseCookies(req)[SESSION_COOKIE]);
+  return cookie(SESSION_COOKIE, '', 0);
+}
+
+function clearSessionCookie() {
+  return cookie(SESSION_COOKIE, '', 0);
+}
+
+function findSandbox(req) {
+  const sandbox = sandboxes.get(parseCookies(req)[SANDBOX_COOKIE]);
+  return sandbox && sandbox.expiresAt >= Date.now() ? sandbox : null;
+}
+
+function getCatalog(req) {
+  return findSandbox(req)?.catalog || products;
+}
+
+function getSandbox(req) {
+  const sandbox = findSandbox(req);
+  if (sandbox) {
+    return { catalog: sandbox.catalog };
+  }
+
+  pruneExpired(sandboxes);
+  const sandboxId = crypto.randomUUID();
+  const catalog = products.map(product => ({ ...product }));
+  sandboxes.set(sandboxId, { catalog, expiresAt: Date.now() + SANDBOX_TTL_SECONDS * 1000 });
+  return { catalog, cookie: cookie(SANDBOX_COOKIE, sandboxId, SANDBOX_TTL_SECONDS) };
+}
+
+function parsePrice(value) {
+  const price = Number(value);
+  return Number.isInteger(price) && price > 0 ? price : null;
+}
+
+function validateProduct(catalog, fields) {
+  const errors = [];
+  const name = (fields.name || '').trim();
+  const id = slugify(name);
+
+  if (!name) {
+    errors.push('El nombre es obligatorio.');
+  } else if (catalog.some(product => product.id === id)) {
+    errors.push(`Ya existe un producto llamado "${name}".`);
+  }
+  if (!(fields.brand || '').trim()) {
+    errors.push('La marca es obligatoria.');
+  }
+  if (!productLines[fields.line]) {
+    errors.push('Selecciona una línea de producto.');
+  }
+  if (parsePrice(fields.price) === null) {
+    errors.push('El precio debe ser un número entero mayor que cero.');
+  }
+
+  return errors;
+}
+
+function createProduct(catalog, fields) {
+  const errors = validateProduct(catalog, fields);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const product = {
+    id: slugify(fields.name),
+    name: fields.name.trim(),
+    brand: fields.brand.trim(),
+    line: fields.line,
+    category: productLines[fields.line],
+    type: (fields.type || '').trim(),
+    price: parsePrice(fields.price),
+    inStock: fields.inStock === 'on',
+    addedAt: new Date().toISOString().slice(0, 10),
+    description: (fields.description || '').trim()
+  };
+  catalog.push(product);
+  return { product };
+}
+
+function updateProduct(product, fields) {
+  const price = parsePrice(fields.price);
+  if (price === null) {
+    return { errors: ['El precio debe ser un número entero mayor que cero.'] };
+  }
+
+  product.price = price;
+  product.inStock = fields.inStock === 'on';
+  return { product };
+}
+
+module.exports = {
+  productLines,
+  readForm,
+  getSession,
+  login,
+  logout,
+  clearSessionCookie,
+  getCatalog,
+  getSandbox,
+  createProduct,
+  updateProduct
+};
@@ -0,0 +1,608 @@
+const store = {
+  name: 'Galería Mexicana',
+  slogan: 'De México a tus manos',
+  canonicalHost: 'https://galeriamexicanacr.com',
+  whatsappPhone: '50687396001',
+  phoneDisplay: '(+506) 8739-6001',
+  email: 'ventas@galeriamexicanacr.com',
+  address: {
+    streetAddress: 'Avenida Central, Barrio Escalante',
+    addressLocality: 'San José',
+    addressCountry: 'CR'
+  },
+  social: {
+    facebook: 'https://www.facebook.com/galeriamexicanacr',
+    instagram: 'https://www.instagram.com/galeriamexicanacr/'
+  }
+};
+
+const categories = {
+  'bebidas-alcoholicas': 'Bebidas Alcohólicas',
+  'dulces': 'Dulces y Confitería',
+  'condimentos': 'Condimentos'
+};
+
+const products = [
+  {
+    id: 'don-julio-blanco',
+    name: 'Tequila Don Julio Blanco',
+    brand: 'Don Julio',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Blanco',
+    price: 28500,
+    alcohol: '38% Alc. Vol.',
+    origin: 'Los Altos, Jalisco',
+    age: 'Sin añejamiento',
+    inStock: true,
+    addedAt: '2025-01-10',
+    description: 'Tequila 100% de agave azul con notas cítricas y de agave cocido, ideal para cócteles.'
+  },
+  {
+    id: 'don-julio-reposado',
+    name: 'Tequila Don Julio Reposado',
+    brand: 'Don Julio',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Reposado',
+    price: 32000,
+    originalPrice: 36000,
+    alcohol: '38% Alc. Vol.',
+    origin: 'Los Altos, Jalisco',
+    age: '8 meses en barrica de roble blanco',
+    inStock: true,
+    addedAt: '2025-01-10',
+    description: 'Reposado suave con notas de chocolate, canela y vainilla.'
+  },
+  {
+    id: 'don-julio-anejo',
+    name: 'Tequila Don Julio Añejo',
+    brand: 'Don Julio',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Añejo',
+    price: 38500,
+    alcohol: '38% Alc. Vol.',
+    origin: 'Los Altos, Jalisco',
+    age: '18 meses en barrica de roble blanco',
+    inStock: true,
+    premium: true,
+    addedAt: '2025-02-03',
+    description: 'Añejo de color ámbar con aromas de caramelo, miel silvestre y roble tostado.'
+  },
+  {
+    id: 'don-julio-1942',
+    name: 'Tequila Don Julio 1942',
+    brand: 'Don Julio',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Añejo',
+    price: 95000,
+    originalPrice: 109000,
+    alcohol: '38% Alc. Vol.',
+    origin: 'Los Altos, Jalisco',
+    age: '2 años y medio en barrica',
+    inStock: true,
+    premium: true,
+    addedAt: '2025-03-21',
+    description: 'Añejo de edición especial con notas de caramelo, chocolate y vainilla tostada.'
+  },
+  {
+    id: 'jose-cuervo-especial',
+    name: 'Tequila José Cuervo Especial Reposado',
+    brand: 'José Cuervo',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Reposado',
+    price: 14500,
+    alcohol: '38% Alc. Vol.',
+    origin: 'Tequila, Jalisco',
+    age: '2 meses en barrica',
+    inStock: true,
+    addedAt: '2024-11-18',
+    description: 'El reposado clásico para compartir, con notas de agave y roble.'
+  },
+  {
+    id: 'jose-cuervo-tradicional-plata',
+    name: 'Tequila José Cuervo Tradicional Plata',
+    brand: 'José Cuervo',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Blanco',
+    price: 16900,
+    alcohol: '38% Alc. Vol.',
+    origin: 'Tequila, Jalisco',
+    age: 'Sin añejamiento',
+    inStock: true,
+    addedAt: '2024-10-02',
+    description: 'Tequila plata 100% agave con final fresco y herbal.'
+  },
+  {
+    id: 'jose-cuervo-reserva-de-la-familia',
+    name: 'Tequila José Cuervo Reserva de la Familia',
+    brand: 'José Cuervo',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Extra Añejo',
+    price: 125000,
+    alcohol: '38% Alc. Vol.',
+    origin: 'Tequila, Jalisco',
+    age: '3 años en barrica de roble francés',
+    inStock: true,
+    premium: true,
+    isNew: true,
+    addedAt: '2025-09-12',
+    description: 'Extra añejo de colección, complejo y profundo, con notas de frutos secos.'
+  },
+  {
+    id: 'patron-silver',
+    name: 'Tequila Patrón Silver',
+    brand: 'Patrón',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Blanco',
+    price: 34500,
+    alcohol: '40% Alc. Vol.',
+    origin: 'Atotonilco, Jalisco',
+    age: 'Sin añejamiento',
+    inStock: true,
+    addedAt: '2024-12-05',
+    description: 'Blanco ultra premium, suave y dulce con final a pimienta ligera.'
+  },
+  {
+    id: 'patron-reposado',
+    name: 'Tequila Patrón Reposado',
+    brand: 'Patrón',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Reposado',
+    price: 37500,
+    alcohol: '40% Alc. Vol.',
+    origin: 'Atotonilco, Jalisco',
+    age: '4 meses en barrica',
+    inStock: false,
+    addedAt: '2024-12-05',
+    description: 'Reposado equilibrado con notas de roble, vainilla y miel.'
+  },
+  {
+    id: 'herradura-plata',
+    name: 'Tequila Herradura Plata',
+    brand: 'Herradura',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Blanco',
+    price: 29500,
+    alcohol: '40% Alc. Vol.',
+    origin: 'Amatitán, Jalisco',
+    age: '45 días en barrica',
+    inStock: true,
+    addedAt: '2024-09-14',
+    description: 'Plata con un ligero reposo que le aporta notas de vainilla y agave cocido.'
+  },
+  {
+    id: 'herradura-anejo',
+    name: 'Tequila Herradura Añejo',
+    brand: 'Herradura',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Añejo',
+    price: 42000,
+    alcohol: '40% Alc. Vol.',
+    origin: 'Amatitán, Jalisco',
+    age: '25 meses en barrica',
+    inStock: true,
+    addedAt: '2024-09-14',
+    description: 'Añejo robusto con notas de especias, frutos secos y madera.'
+  },
+  {
+    id: 'casamigos-blanco',
+    name: 'Tequila Casamigos Blanco',
+    brand: 'Casamigos',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Blanco',
+    price: 41000,
+    alcohol: '40% Alc. Vol.',
+    origin: 'Jesús María, Jalisco',
+    age: 'Sin añejamiento',
+    inStock: true,
+    isNew: true,
+    addedAt: '2025-08-30',
+    description: 'Blanco suave con notas de cítricos, vainilla y agave dulce.'
+  },
+  {
+    id: 'casamigos-reposado',
+    name: 'Tequila Casamigos Reposado',
+    brand: 'Casamigos',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Reposado',
+    price: 45500,
+    alcohol: '40% Alc. Vol.',
+    origin: 'Jesús María, Jalisco',
+    age: '7 meses en barrica',
+    inStock: true,
+    addedAt: '2025-04-16',
+    description: 'Reposado sedoso con notas de caramelo y cacao.'
+  },
+  {
+    id: 'clase-azul-reposado',
+    name: 'Tequila Clase Azul Reposado',
+    brand: 'Clase Azul',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Reposado',
+    price: 135000,
+    alcohol: '40% Alc. Vol.',
+    origin: 'Santa María Canchesdá, Jalisco',
+    age: '8 meses en barrica',
+    inStock: true,
+    premium: true,
+    addedAt: '2025-05-08',
+    description: 'Reposado de autor en su icónica botella de cerámica pintada a mano.'
+  },
+  {
+    id: '1800-anejo',
+    name: 'Tequila 1800 Añejo',
+    brand: '1800',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Añejo',
+    price: 33500,
+    originalPrice: 37000,
+    alcohol: '38% Alc. Vol.',
+    origin: 'Tequila, Jalisco',
+    age: '14 meses en barrica',
+    inStock: true,
+    addedAt: '2024-08-22',
+    description: 'Añejo con aromas de roble tostado, almendra y caramelo.'
+  },
+  {
+    id: 'cazadores-reposado',
+    name: 'Tequila Cazadores Reposado',
+    brand: 'Cazadores',
+    line: 'tequila',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Reposado',
+    price: 18500,
+    alcohol: '40% Alc. Vol.',
+    origin: 'Arandas, Jalisco',
+    age: '2 meses en barrica',
+    inStock: true,
+    addedAt: '2024-07-30',
+    description: 'Reposado tradicional de Los Altos con final ligeramente especiado.'
+  },
+  {
+    id: 'mezcal-400-conejos',
+    name: 'Mezcal 400 Conejos Joven',
+    brand: '400 Conejos',
+    line: 'mezcal',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Joven',
+    price: 27500,
+    alcohol: '38% Alc. Vol.',
+    origin: 'Santiago Matatlán, Oaxaca',
+    age: 'Sin añejamiento',
+    inStock: true,
+    addedAt: '2025-02-18',
+    description: 'Mezcal de agave espadín con notas ahumadas y herbales.'
+  },
+  {
+    id: 'mezcal-del-maguey-vida',
+    name: 'Mezcal Del Maguey Vida',
+    brand: 'Del Maguey',
+    line: 'mezcal',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Joven',
+    price: 36000,
+    alcohol: '42% Alc. Vol.',
+    origin: 'San Luis del Río, Oaxaca',
+    age: 'Sin añejamiento',
+    inStock: true,
+    isNew: true,
+    addedAt: '2025-09-01',
+    description: 'Mezcal artesanal de pueblo con notas de fruta tropical y humo suave.'
+  },
+  {
+    id: 'mezcal-montelobos-espadin',
+    name: 'Mezcal Montelobos Espadín',
+    brand: 'Montelobos',
+    line: 'mezcal',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Espadín',
+    price: 31000,
+    alcohol: '43.2% Alc. Vol.',
+    origin: 'Santiago Matatlán, Oaxaca',
+    age: 'Sin añejamiento',
+    inStock: true,
+    addedAt: '2025-03-02',
+    description: 'Espadín orgánico con notas de agave asado, cítricos y hierbas.'
+  },
+  {
+    id: 'cerveza-corona-extra',
+    name: 'Cerveza Corona Extra 355ml',
+    brand: 'Corona',
+    line: 'cerveza',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Lager',
+    price: 1500,
+    alcohol: '4.5% Alc. Vol.',
+    origin: 'Ciudad de México',
+    inStock: true,
+    addedAt: '2024-06-11',
+    description: 'La cerveza mexicana más conocida del mundo, ligera y refrescante.'
+  },
+  {
+    id: 'cerveza-modelo-especial',
+    name: 'Cerveza Modelo Especial 355ml',
+    brand: 'Modelo',
+    line: 'cerveza',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Lager',
+    price: 1700,
+    alcohol: '4.5% Alc. Vol.',
+    origin: 'Ciudad de México',
+    inStock: true,
+    addedAt: '2024-06-11',
+    description: 'Pilsner de cuerpo completo con notas de malta y final limpio.'
+  },
+  {
+    id: 'cerveza-negra-modelo',
+    name: 'Cerveza Negra Modelo 355ml',
+    brand: 'Modelo',
+    line: 'cerveza',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Oscura',
+    price: 1900,
+    alcohol: '5.4% Alc. Vol.',
+    origin: 'Ciudad de México',
+    inStock: true,
+    addedAt: '2024-06-11',
+    description: 'Cerveza oscura estilo Munich Dunkel con notas de caramelo.'
+  },
+  {
+    id: 'cerveza-pacifico-clara',
+    name: 'Cerveza Pacífico Clara 355ml',
+    brand: 'Pacífico',
+    line: 'cerveza',
+    category: categories['bebidas-alcoholicas'],
+    type: 'Lager',
+    price: 1800,
+    alcohol: '4.5% Alc. Vol.',
+    origin: 'Mazatlán, Sinaloa',
+    inStock: false,
+    addedAt: '2025-06-25',
+    description: 'Lager del Pacífico mexicano, ligera y con un toque cítrico.'
+  },
+  {
+    id: 'dulces-de-la-rosa-mazapan',
+    name: 'Dulces de la Rosa - Mazapán',
+    brand: 'De la Rosa',
+    line: 'dulces',
+    category: categories.dulces,
+    type: 'Mazapán',
+    price: 12000,
+    inStock: true,
+    addedAt: '2024-05-19',
+    description: 'Caja de 30 mazapanes de cacahuate, el dulce mexicano por excelencia.'
+  },
+  {
+    id: 'pulparindo-de-la-rosa',
+    name: 'Pulparindo de la Rosa',
+    brand: 'De la Rosa',
+    line: 'dulces',
+    category: categories.dulces,
+    type: 'Tamarindo',
+    price: 3500,
+    inStock: true,
+    addedAt: '2024-05-19',
+    description: 'Pulpa de tamarindo enchilada, dulce, salada y picante.'
+  },
+  {
+    id: 'obleas-de-cajeta',
+    name: 'Obleas de Cajeta Coronado',
+    brand: 'Coronado',
+    line: 'dulces',
+    category: categories.dulces,
+    type: 'Cajeta',
+    price: 4500,
+    originalPrice: 5200,
+    inStock: true,
+    addedAt: '2025-07-07',
+    description: 'Obleas crujientes rellenas de cajeta de leche de cabra.'
+  },
+  {
+    id: 'salsa-valentina-etiqueta-negra',
+    name: 'Salsa Valentina Etiqueta Negra',
+    brand: 'Valentina',
+    line: 'condimentos',
+    category: categories.condimentos,
+    type: 'Salsa picante',
+    price: 2900,
+    inStock: true,
+    addedAt: '2024-04-08',
+    description: 'Salsa picante extra picosa, perfecta para botanas y frutas.'
+  },
+  {
+    id: 'chiles-jalapenos-la-costena',
+    name: 'Chiles Jalapeños La Costeña',
+    brand: 'La Costeña',
+    line: 'condimentos',
+    category: categories.condimentos,
+    type: 'Chiles en escabeche',
+    price: 3200,
+    inStock: true,
+    addedAt: '2024-04-08',
+    description: 'Jalapeños en rajas con zanahoria y cebolla en escabeche.'
+  },
+  {
+    id: 'tajin-clasico',
+    name: 'Tajín Clásico',
+    brand: 'Tajín',
+    line: 'condimentos',
+    category: categories.condimentos,
+    type: 'Sazonador',
+    price: 3800,
+    inStock: true,
+    isNew: true,
+    addedAt: '2025-08-05',
+    description: 'Sazonador de chile y limón para frutas, verduras y bebidas.'
+  },
+  {
+    id: 'mole-poblano-dona-maria',
+    name: 'Mole Poblano Doña María',
+    brand: 'Doña María',
+    line: 'condimentos',
+    category: categories.condimentos,
+    type: 'Mole',
+    price: 5200,
+    inStock: true,
+    addedAt: '2024-11-01',
+    description: 'Pasta de mole poblano lista para preparar en casa.'
+  }
+];
+
+const brands = [
+  'Don Julio',
+  'José Cuervo',
+  'Patrón',
+  'Herradura',
+  'Casamigos',
+  'Clase Azul',
+  'Corona',
+  'Modelo',
+  'De la Rosa',
+  'Valentina'
+];
+
+const blogPosts = [
+  {
+    slug: 'dia-de-muertos-en-costa-rica',
+    title: 'Día de Muertos: tradiciones mexicanas en Costa Rica',
+    date: '2025-10-01',
+    author: 'Ana Lucía Vargas',
+    excerpt: 'Cómo celebrar el Día de Muertos con un altar tradicional, pan de muerto y los dulces que nunca faltan.',
+    body: [
+      'El Día de Muertos es una de las celebraciones más queridas de México y cada año más familias en Costa Rica la adoptan.',
+      'Un altar tradicional lleva papel picado, flores de cempasúchil, velas, fotografías y la comida favorita de quienes recordamos.',
+      'Los dulces de calabaza, las calaveritas de azúcar y el mazapán son protagonistas de la ofrenda.'
+    ],
+    relatedProducts: ['dulces-de-la-rosa-mazapan', 'mole-poblano-dona-maria']
+  },
+  {
+    slug: 'historia-del-agave-azul',
+    title: 'La historia del agave azul en Jalisco',
+    date: '2025-08-14',
+    author: 'María Fernanda Rojas',
+    excerpt: 'Del campo a la botella: conoce el proceso de jima, cocción y destilación del agave azul Weber.',
+    body: [
+      'El agave azul Weber tarda entre seis y ocho años en madurar antes de que el jimador corte sus pencas.',
+      'Las piñas se cuecen en hornos de mampostería o autoclaves y luego se muelen para extraer el jugo que se fermenta.',
+      'La doble destilación define el carácter del blanco, que después puede reposar en barricas de roble.'
+    ],
+    relatedProducts: ['don-julio-blanco', 'herradura-plata']
+  },
+  {
+    slug: 'como-degustar-un-anejo',
+    title: 'Cómo degustar un añejo como experto',
+    date: '2025-07-02',
+    author: 'Carlos Méndez',
+    excerpt: 'Copa, temperatura y maridaje: todo lo que necesitas para disfrutar un destilado añejo.',
+    body: [
+      'Sirve el añejo a temperatura ambiente en una copa de boca cerrada para concentrar los aromas.',
+      'Observa el color, gira la copa suavemente y deja que el destilado respire unos minutos.',
+      'Los chocolates amargos y los quesos curados son excelentes compañeros para un añejo.'
+    ],
+    relatedProducts: ['don-julio-anejo', 'herradura-anejo']
+  },
+  {
+    slug: 'salsas-picantes-mexicanas',
+    title: 'Guía de salsas picantes mexicanas',
+    date: '2025-05-20',
+    author: 'Carlos Méndez',
+    excerpt: 'De la Valentina al chile jalapeño: qué salsa usar con cada botana.',
+    body: [
+      'Cada región de México tiene su salsa favorita, y muchas ya se consiguen en Costa Rica.',
+      'La Valentina es ideal para frituras y frutas, mientras que los jalapeños en escabeche acompañan tortas y tacos.',
+      'El Tajín completa la experiencia con su mezcla de chile y limón.'
+    ],
+    relatedProducts: ['salsa-valentina-etiqueta-negra', 'chiles-jalapenos-la-costena', 'tajin-clasico']
+  },
+  {
+    slug: 'mezcal-destilado-artesanal-de-oaxaca',
+    title: 'Mezcal: el destilado artesanal de Oaxaca',
+    date: '2025-04-11',
+    author: 'María Fernanda Rojas',
+    excerpt: 'Por qué el mezcal sabe a humo y cómo elegir tu primera botella.',
+    body: [
+      'El mezcal se elabora cociendo el agave en hornos de tierra, lo que le da su característico sabor ahumado.',
+      'El espadín es el agave más común, pero existen variedades silvestres como el tobalá.',
+      'Para empezar, busca un mezcal joven y sírvelo con rodajas de naranja y sal de gusano.'
+    ],
+    relatedProducts: ['mezcal-400-conejos', 'mezcal-del-maguey-vida']
+  },
+  {
+    slug: 'dulces-tradicionales-mexicanos',
+    title: 'Dulces tradicionales mexicanos que debes probar',
+    date: '2025-03-03',
+    author: 'Ana Lucía Vargas',
+    excerpt: 'Mazapán, pulparindo y obleas de cajeta: un recorrido por los sabores de la infancia mexicana.',
+    body: [
+      'Los dulces mexicanos combinan lo dulce, lo ácido y lo picante como ninguna otra confitería.',
+      'El mazapán de cacahuate se deshace en la boca, mientras que el pulparindo sorprende con su chile.',
+      'Las obleas de cajeta son perfectas para compartir en cualquier celebración.'
+    ],
+    relatedProducts: ['dulces-de-la-rosa-mazapan', 'pulparindo-de-la-rosa', 'obleas-de-cajeta']
+  },
+  {
+    slug: 'cocteles-mexicanos-para-celebrar',
+    title: 'Cócteles mexicanos para celebrar',
+    date: '2025-02-14',
+    author: 'Carlos Méndez',
+    excerpt: 'Margarita, paloma y michelada: recetas sencillas con productos de nuestra tienda.',
+    body: [
+      'La paloma se prepara con blanco, jugo de toronja, limón y un toque de sal.',
+      'Para la michelada necesitas una cerveza clara, limón, salsas y el borde escarchado con Tajín.',
+      'La margarita clásica lleva tres partes de blanco, dos de licor de naranja y una de limón.'
+    ],
+    relatedProducts: ['jose-cuervo-tradicional-plata', 'cerveza-corona-extra', 'tajin-clasico']
+  }
+];
+
+function getProduct(id, catalog = products) {
+  return catalog.find(product => product.id === id);
+}
+
+function getProductsByLine(line, catalog = products) {
+  return catalog.filter(product => product.line === line);
+}
+
+function getBlogPost(slug) {
+  return blogPosts.find(post => post.slug === slug);
+}
+
+function formatPrice(amount) {
+  return `₡${amount.toLocaleString('en-US')}`;
+}
+
+function slugify(value) {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+module.exports = {
+  store,
+  categories,
+  products,
+  brands,
+  blogPosts,
+  getProduct,
+  getProductsByLine,
+  getBlogPost,
+  formatPrice,
+  slugify
+};
@@ -0,0 +1,46 @@
+const { store, getProduct, getBlogPost, brands, slugify } = require('./catalog');
+const { escapeHtml } = require('./views');
+
+const palette = ['#b5361f', '#1f6f4a', '#c98a12', '#6a2c70', '#1d4e89', '#8c4a2f'];
+
+function colorFor(key) {
+  let hash = 0;
+  for (const char of key) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return palette[hash % palette.length];
+}
+
+function placeholder({ width, height, label, key }) {
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) / 10));
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="100%" height="100%" fill="${colorFor(key)}"/>
+  <text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">${escapeHtml(label)}</text>
+</svg>
+`;
+}
+
+function renderImage(kind, id, catalog) {
+  if (kind === 'logo') {
+    return placeholder({ width: 112, height: 112, label: 'GM', key: store.name });
+  }
+  if (kind === 'banner') {
+    return placeholder({ width: 960, height: 600, label: store.slogan, key: 'banner' });
+  }
+  if (kind === 'products') {
+    const product = getProduct(id, catalog);
+    return product && placeholder({ width: 400, height: 400, label: product.brand, key: product.id });
+  }
+  if (kind === 'brands') {
+    const brand = brands.find(name => slugify(name) === id);
+    return brand && placeholder({ width: 240, height: 120, label: brand, key: brand });
+  }
+  if (kind === 'blog') {
+    const post = getBlogPost(id);
+    return post && placeholder({ width: 640, height: 360, label: 'Blog', key: post.slug });
+  }
+  return null;
+}
+
+module.exports = { renderImage };
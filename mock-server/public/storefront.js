@@ -0,0 +1,608 @@
+(function () {
+  'use strict';
+
+  var CART_KEY = 'galeria-mexicana-cart';
+  var MAX_QUANTITY = 99;
+
+  var dataElement = document.getElementById('storefront-data');
+  var data = dataElement ? JSON.parse(dataElement.textContent) : {};
+  var products = data.products || [];
+  var productIndex = {};
+  products.forEach(function (product) {
+    productIndex[product.id] = product;
+  });
+
+  var whatsappPhone = document.body.getAttribute('data-whatsapp-phone');
+
+  function formatPrice(amount) {
+    return '₡' + amount.toLocaleString('en-US');
+  }
+
+  function normalize(value) {
+    return String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  function slugify(value) {
+    return normalize(value).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function focusableElements(container) {
+    return Array.prototype.filter.call(
+      container.querySelectorAll('a[href], button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])'),
+      function (element) {
+        return element.offsetParent !== null;
+      }
+    );
+  }
+
+  function trapFocus(container, event) {
+    var focusable = focusableElements(container);
+    if (focusable.length === 0) {
+      event.preventDefault();
+      return;
+    }
+
+    var first = focusable[0];
+    var last = focusable[focusable.length - 1];
+    var index = focusable.indexOf(document.activeElement);
+
+    event.preventDefault();
+    if (event.shiftKey) {
+      (index <= 0 ? last : focusable[index - 1]).focus();
+    } else {
+      (index === -1 || index === focusable.length - 1 ? first : focusable[index + 1]).focus();
+    }
+  }
+
+  // Cart ------------------------------------------------------------------
+
+  var cartDrawer = null;
+  var cartReturnFocus = null;
+  var orderNote = '';
+
+  function loadCart() {
+    try {
+      var items = JSON.parse(localStorage.getItem(CART_KEY));
+      return Array.isArray(items) ? items : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function saveCart(items) {
+    localStorage.setItem(CART_KEY, JSON.stringify(items));
+    renderCartCounter(items);
+  }
+
+  function cartQuantity(items) {
+    return items.reduce(function (sum, item) {
+      return sum + item.quantity;
+    }, 0);
+  }
+
+  function cartTotal(items) {
+    return items.reduce(function (sum, item) {
+      return sum + item.price * item.quantity;
+    }, 0);
+  }
+
+  function renderCartCounter(items) {
+    var counter = document.querySelector('[data-testid="cart-counter"]');
+    var quantity = cartQuantity(items || loadCart());
+    counter.textContent = String(quantity);
+    counter.hidden = quantity === 0;
+  }
+
+  function addToCart(product) {
+    var items = loadCart();
+    var existing = items.find(function (item) {
+      return item.id === product.id;
+    });
+
+    if (existing) {
+      existing.quantity = Math.min(existing.quantity + 1, MAX_QUANTITY);
+    } else {
+      items.push({ id: product.id, name: product.name, price: product.price, quantity: 1 });
+    }
+
+    saveCart(items);
+    renderCartBody();
+  }
+
+  function setCartQuantity(id, quantity) {
+    var items = loadCart();
+    if (quantity <= 0) {
+      items = items.filter(function (item) {
+        return item.id !== id;
+      });
+    } else {
+      items.forEach(function (item) {
+        if (item.id === id) {
+          item.quantity = quantity;
+        }
+      });
+    }
+    saveCart(items);
+    return items;
+  }
+
+  function removeFromCart(id) {
+    setCartQuantity(id, 0);
+    renderCartBody();
+  }
+
+  function clearCart() {
+    saveCart([]);
+    renderCartBody();
+  }
+
+  function checkoutMessage(items) {
+    var lines = items.map(function (item) {
+      return '• ' + item.quantity + ' x ' + item.name + ' - ' + formatPrice(item.price) + ' c/u = ' + formatPrice(item.price * item.quantity);
+    });
+
+    return 'Hola Galería Mexicana, quiero realizar la siguiente compra:\n\n' +
+      lines.join('\n') +
+      '\n\nTotal: ' + formatPrice(cartTotal(items)) +
+      (orderNote.trim() ? '\n\nNota: ' + orderNote.trim() : '');
+  }
+
+  function checkout() {
+    var items = loadCart();
+    if (items.length === 0) {
+      return;
+    }
+
+    var url = 'https://api.whatsapp.com/send?phone=' + whatsappPhone + '&text=' + encodeURIComponent(checkoutMessage(items));
+    window.open(url, '_blank', 'noopener');
+  }
+
+  function renderCartRow(item) {
+    return '<div class="line-item" data-testid="cart-item" data-product-id="' + escapeHtml(item.id) + '">' +
+      '<h4 class="item-name">' + escapeHtml(item.name) + '</h4>' +
+      '<span class="item-price">' + formatPrice(item.price) + '</span>' +
+      '<input type="number" class="quantity-input" min="0" max="' + MAX_QUANTITY + '" value="' + item.quantity + '" aria-label="Cantidad de ' + escapeHtml(item.name) + '">' +
+      '<span class="item-total">' + formatPrice(item.price * item.quantity) + '</span>' +
+      '<button type="button" class="remove-item" data-testid="remove-item" aria-label="Eliminar ' + escapeHtml(item.name) + '">Eliminar</button>' +
+      '</div>';
+  }
+
+  function renderCartBody() {
+    if (!cartDrawer) {
+      return;
+    }
+
+    var items = loadCart();
+    var body = cartDrawer.querySelector('.drawer-body');
+    body.innerHTML = items.length === 0
+      ? '<p class="empty-state">Tu carrito está vacío</p>'
+      : items.map(renderCartRow).join('');
+
+    cartDrawer.querySelector('[data-testid="cart-total"]').textContent = formatPrice(cartTotal(items));
+    cartDrawer.querySelector('[data-testid="checkout"]').disabled = items.length === 0;
+    cartDrawer.querySelector('[data-testid="clear-cart"]').disabled = items.length === 0;
+  }
+
+  function onQuantityInput(input) {
+    if (input.value === '') {
+      return;
+    }
+
+    var requested = parseInt(input.value, 10);
+    if (isNaN(requested)) {
+      return;
+    }
+
+    var row = input.closest('[data-testid="cart-item"]');
+    var id = row.getAttribute('data-product-id');
+    var quantity = requested < 0 ? 1 : Math.min(requested, MAX_QUANTITY);
+
+    if (String(quantity) !== input.value) {
+      input.value = String(quantity);
+    }
+
+    var items = setCartQuantity(id, quantity);
+    if (quantity === 0) {
+      renderCartBody();
+      return;
+    }
+
+    var item = items.find(function (entry) {
+      return entry.id === id;
+    });
+    row.querySelector('.item-total').textContent = formatPrice(item.price * item.quantity);
+    cartDrawer.querySelector('[data-testid="cart-total"]').textContent = formatPrice(cartTotal(items));
+  }
+
+  function openCart() {
+    if (cartDrawer) {
+      return;
+    }
+
+    cartReturnFocus = document.activeElement;
+    cartDrawer = document.createElement('aside');
+    cartDrawer.className = 'drawer';
+    cartDrawer.setAttribute('data-testid', 'cart-modal');
+    cartDrawer.setAttribute('role', 'dialog');
+    cartDrawer.setAttribute('aria-modal', 'true');
+    cartDrawer.setAttribute('aria-labelledby', 'drawer-title');
+    cartDrawer.innerHTML =
+      '<div class="drawer-header">' +
+        '<h2 id="drawer-title">Tu carrito</h2>' +
+        '<button type="button" class="drawer-close" data-testid="cart-close" aria-label="Cerrar carrito">×</button>' +
+      '</div>' +
+      '<div class="drawer-body"></div>' +
+      '<div class="drawer-summary">' +
+        '<p class="drawer-total">Total: <strong data-testid="cart-total"></strong></p>' +
+        '<label class="order-note">Nota para la tienda (opcional)' +
+          '<textarea name="note" data-testid="order-note" rows="2" maxlength="300"></textarea>' +
+        '</label>' +
+        '<button type="button" class="btn-link" data-testid="clear-cart">Vaciar carrito</button>' +
+        '<button type="button" class="btn btn-primary checkout-btn" data-testid="checkout">Finalizar compra por WhatsApp</button>' +
+      '</div>';
+
+    document.body.appendChild(cartDrawer);
+    cartDrawer.querySelector('[data-testid="order-note"]').value = orderNote;
+    renderCartBody();
+    cartDrawer.querySelector('[data-testid="cart-close"]').focus();
+  }
+
+  function closeCart() {
+    if (!cartDrawer) {
+      return;
+    }
+
+    cartDrawer.remove();
+    cartDrawer = null;
+    if (cartReturnFocus && document.contains(cartReturnFocus)) {
+      cartReturnFocus.focus();
+    }
+    cartReturnFocus = null;
+  }
+
+  // Product modal ---------------------------------------------------------
+
+  var productModal = null;
+  var modalReturnFocus = null;
+
+  function openProductModal(product) {
+    closeProductModal();
+
+    modalReturnFocus = document.activeElement;
+    productModal = document.createElement('div');
+    productModal.className = 'product-modal';
+    productModal.setAttribute('role', 'dialog');
+    productModal.setAttribute('aria-modal', 'true');
+    productModal.setAttribute('aria-labelledby', 'product-modal-title');
+    productModal.setAttribute('data-product-id', product.id);
+    productModal.innerHTML =
+      '<button type="button" class="modal-close" aria-label="Cerrar detalles">×</button>' +
+      '<div class="modal-image"><img src="/images/products/' + escapeHtml(product.id) + '.svg" alt="' + escapeHtml(product.name) + '" width="400" height="400"></div>' +
+      '<div class="modal-details">' +
+        '<h2 id="product-modal-title">' + escapeHtml(product.name) + '</h2>' +
+        '<p class="modal-brand">' + escapeHtml(product.brand) + '</p>' +
+        '<p class="modal-type">' + escapeHtml(product.type) + '</p>' +
+        '<p class="modal-price">' + formatPrice(product.price) + '</p>' +
+        (product.alcohol ? '<p class="alcohol-content">' + escapeHtml(product.alcohol) + '</p>' : '') +
+        (product.origin ? '<p class="origin">Origen: ' + escapeHtml(product.origin) + '</p>' : '') +
+        (product.age ? '<p class="age-info">' + escapeHtml(product.age) + '</p>' : '') +
+        '<p class="' + lineClass('description') + '">' + escapeHtml(product.description) + '</p>' +
+      '</div>';
+
+    document.body.appendChild(productModal);
+    productModal.querySelector('.modal-close').focus();
+  }
+
+  function closeProductModal() {
+    if (!productModal) {
+      return;
+    }
+
+    productModal.remove();
+    productModal = null;
+    if (modalReturnFocus && document.contains(modalReturnFocus)) {
+      modalReturnFocus.focus();
+    }
+    modalReturnFocus = null;
+  }
+
+  // Listings --------------------------------------------------------------
+
+  function renderBadges(product) {
+    var badges = [];
+    if (product.originalPrice) {
+      var discount = Math.round((1 - product.price / product.originalPrice) * 100);
+      badges.push('<span class="discount-badge">-' + discount + '%</span>');
+    }
+    if (product.isNew) {
+      badges.push('<span class="new-badge">Nuevo</span>');
+    }
+    if (product.premium) {
+      badges.push('<span class="premium-badge">Premium</span>');
+    }
+    return badges.length ? '<div class="badges">' + badges.join('') + '</div>' : '';
+  }
+
+  function renderStock(product) {
+    return product.inStock
+      ? '<p class="stock-status in-stock">Disponible</p>'
+      : '<p class="stock-status out-of-stock">Agotado</p>';
+  }
+
+  function renderAddButton(product) {
+    return '<button type="button" class="btn btn-primary" data-testid="add-to-cart"' + (product.inStock ? '' : ' disabled') + '>' +
+      (product.inStock ? 'Agregar al carrito' : 'Agotado') +
+      '</button>';
+  }
+
+  function renderOriginalPrice(product) {
+    return product.originalPrice ? '<s class="original-price">' + formatPrice(product.originalPrice) + '</s>' : '';
+  }
+
+  function renderProductCard(product) {
+    return '<article class="product-card" data-product-id="' + escapeHtml(product.id) + '" data-added-at="' + escapeHtml(product.addedAt) + '">' +
+      '<div class="product-image"><img src="/images/products/' + escapeHtml(product.id) + '.svg" alt="' + escapeHtml(product.name) + '" width="200" height="200"></div>' +
+      renderBadges(product) +
+      '<h3 class="product-name">' + escapeHtml(product.name) + '</h3>' +
+      '<p class="product-category">' + escapeHtml(product.category) + '</p>' +
+      '<div class="price-row"><span class="product-price">' + formatPrice(product.price) + '</span>' + renderOriginalPrice(product) + '</div>' +
+      renderStock(product) +
+      renderAddButton(product) +
+      '</article>';
+  }
+
+  function lineClass(part) {
+    return (data.line || 'product') + '-' + part;
+  }
+
+  function renderCategoryCard(product) {
+    return '<article class="category-card ' + lineClass('card') + '" data-product-id="' + escapeHtml(product.id) + '" data-added-at="' + escapeHtml(product.addedAt) + '">' +
+      '<div class="' + lineClass('image') + '"><img src="/images/products/' + escapeHtml(product.id) + '.svg" alt="' + escapeHtml(product.name) + '" width="200" height="200"></div>' +
+      renderBadges(product) +
+      '<h3 class="' + lineClass('name') + '">' + escapeHtml(product.name) + '</h3>' +
+      '<p class="' + lineClass('brand') + '">' + escapeHtml(product.brand) + '</p>' +
+      '<p class="' + lineClass('type') + '">' + escapeHtml(product.type) + '</p>' +
+      (product.alcohol ? '<p class="alcohol-content">' + escapeHtml(product.alcohol) + '</p>' : '') +
+      '<div class="price-row"><span class="category-price ' + lineClass('price') + '">' + formatPrice(product.price) + '</span>' + renderOriginalPrice(product) + '</div>' +
+      renderStock(product) +
+      '<div class="card-actions">' +
+        '<button type="button" class="btn quick-view">Ver detalles</button>' +
+        renderAddButton(product) +
+      '</div>' +
+      '</article>';
+  }
+
+  var sorters = {
+    'price-low': function (a, b) { return a.price - b.price; },
+    'price-high': function (a, b) { return b.price - a.price; },
+    'name-asc': function (a, b) { return a.name.localeCompare(b.name, 'es', { sensitivity: 'base' }); },
+    'name-desc': function (a, b) { return b.name.localeCompare(a.name, 'es', { sensitivity: 'base' }); },
+    'newest': function (a, b) { return b.addedAt.localeCompare(a.addedAt); }
+  };
+
+  function initListing() {
+    var grid = document.querySelector('.product-grid, .category-grid');
+    if (!grid) {
+      return;
+    }
+
+    var section = grid.parentElement;
+    var summary = section.querySelector('.results-summary');
+    var noResults = section.querySelector('.no-results');
+    var loadMore = section.querySelector('.load-more');
+    var renderCard = data.page === 'home' ? renderProductCard : renderCategoryCard;
+
+    var state = {
+      category: '',
+      type: 'todos',
+      brand: '',
+      search: '',
+      sort: 'featured',
+      limit: data.pageSize
+    };
+
+    function visibleProducts() {
+      var term = normalize(state.search.trim());
+      var filtered = products.filter(function (product) {
+        if (state.category && product.category !== state.category) {
+          return false;
+        }
+        if (state.type !== 'todos' && slugify(product.type) !== state.type) {
+          return false;
+        }
+        if (state.brand && product.brand !== state.brand) {
+          return false;
+        }
+        if (term) {
+          var haystack = normalize([product.name, product.brand, product.category, product.type].join(' '));
+          return haystack.indexOf(term) !== -1;
+        }
+        return true;
+      });
+
+      var sorter = sorters[state.sort];
+      if (!sorter) {
+        return filtered;
+      }
+
+      return filtered
+        .map(function (product, index) { return { product: product, index: index }; })
+        .sort(function (a, b) { return sorter(a.product, b.product) || a.index - b.index; })
+        .map(function (entry) { return entry.product; });
+    }
+
+    function render() {
+      var matches = visibleProducts();
+      var shown = matches.slice(0, state.limit);
+
+      grid.innerHTML = shown.map(renderCard).join('');
+      noResults.hidden = matches.length > 0;
+      loadMore.hidden = shown.length >= matches.length;
+      summary.textContent = 'Mostrando ' + shown.length + ' de ' + matches.length + ' productos';
+    }
+
+    function update(changes) {
+      Object.keys(changes).forEach(function (key) {
+        state[key] = changes[key];
+      });
+      state.limit = data.pageSize;
+      render();
+    }
+
+    var searchInput = section.querySelector('.search-input, .search-box');
+    var searchButton = section.querySelector('.search-button');
+    var categorySelect = section.querySelector('select[name="category"]');
+    var brandSelect = section.querySelector('select[name="brand"]');
+    var sortSelect = section.querySelector('select[name="sort"]');
+
+    if (searchInput) {
+      searchInput.addEventListener('keydown', function (event) {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          update({ search: searchInput.value });
+        }
+      });
+      searchInput.addEventListener('search', function () {
+        update({ search: searchInput.value });
+      });
+    }
+    if (searchButton) {
+      searchButton.addEventListener('click', function () {
+        update({ search: searchInput.value });
+      });
+    }
+    if (categorySelect) {
+      categorySelect.addEventListener('change', function () {
+        update({ category: categorySelect.value });
+      });
+    }
+    if (brandSelect) {
+      brandSelect.addEventListener('change', function () {
+        update({ brand: brandSelect.value });
+      });
+    }
+    if (sortSelect) {
+      sortSelect.addEventListener('change', function () {
+        update({ sort: sortSelect.value });
+      });
+    }
+
+    Array.prototype.forEach.call(section.querySelectorAll('.category-tab'), function (tab, index, tabs) {
+      tab.addEventListener('click', function () {
+        Array.prototype.forEach.call(tabs, function (other) {
+          other.classList.toggle('active', other === tab);
+          other.setAttribute('aria-selected', String(other === tab));
+        });
+        update({ type: tab.getAttribute('data-category') });
+      });
+      tab.addEventListener('keydown', function (event) {
+        var offset = event.key === 'ArrowRight' ? 1 : event.key === 'ArrowLeft' ? -1 : 0;
+        if (offset) {
+          tabs[(index + offset + tabs.length) % tabs.length].focus();
+        }
+      });
+    });
+
+    loadMore.addEventListener('click', function () {
+      state.limit += data.pageSize;
+      render();
+    });
+
+    render();
+  }
+
+  // Wiring ----------------------------------------------------------------
+
+  document.addEventListener('click', function (event) {
+    var target = event.target;
+
+    if (target.closest('[data-testid="cart-button"]')) {
+      openCart();
+      return;
+    }
+    if (target.closest('[data-testid="cart-close"]')) {
+      closeCart();
+      return;
+    }
+    if (target.closest('[data-testid="clear-cart"]')) {
+      clearCart();
+      return;
+    }
+    if (target.closest('[data-testid="checkout"]')) {
+      checkout();
+      return;
+    }
+
+    var removeButton = target.closest('[data-testid="remove-item"]');
+    if (removeButton) {
+      removeFromCart(removeButton.closest('[data-testid="cart-item"]').getAttribute('data-product-id'));
+      return;
+    }
+
+    var addButton = target.closest('[data-testid="add-to-cart"]');
+    if (addButton && !addButton.disabled) {
+      var holder = addButton.closest('[data-product-id]');
+      var product = holder && productIndex[holder.getAttribute('data-product-id')];
+      if (product) {
+        addToCart(product);
+      }
+      return;
+    }
+
+    var quickView = target.closest('.quick-view');
+    if (quickView) {
+      openProductModal(productIndex[quickView.closest('[data-product-id]').getAttribute('data-product-id')]);
+      return;
+    }
+    if (target.closest('.modal-close')) {
+      closeProductModal();
+    }
+  });
+
+  document.addEventListener('input', function (event) {
+    if (event.target.matches('.quantity-input')) {
+      onQuantityInput(event.target);
+    } else if (event.target.matches('[data-testid="order-note"]')) {
+      orderNote = event.target.value;
+    }
+  });
+
+  document.addEventListener('keydown', function (event) {
+    var activeDialog = productModal || cartDrawer;
+    if (!activeDialog) {
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      if (productModal) {
+        closeProductModal();
+      } else {
+        closeCart();
+      }
+    } else if (event.key === 'Tab') {
+      trapFocus(activeDialog, event);
+    }
+  });
+
+  window.addEventListener('storage', function (event) {
+    if (event.key === CART_KEY) {
+      renderCartCounter();
+      renderCartBody();
+    }
+  });
+
+  renderCartCounter();
+  initListing();
+})();
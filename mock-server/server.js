@@ -0,0 +1,208 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { getBlogPost, getProduct } = require('./catalog');
+const views = require('./views');
+const { renderImage } = require('./images');
+const admin = require('./admin');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+const contentTypes = {
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8'
+};
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Length': Buffer.byteLength(body),
+    ...headers
+  });
+  res.end(res.req.method === 'HEAD' ? undefined : body);
+}
+
+function sendHtml(res, body, status = 200, headers = {}) {
+  send(res, status, body, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+}
+
+function redirect(res, location, cookies = []) {
+  send(res, 303, '', { Location: location, 'Set-Cookie': cookies.filter(Boolean) });
+}
+
+function serveAsset(res, fileName) {
+  const filePath = path.join(PUBLIC_DIR, path.basename(fileName));
+  const contentType = contentTypes[path.extname(filePath)];
+
+  if (!contentType || !fs.existsSync(filePath)) {
+    return false;
+  }
+
+  send(res, 200, fs.readFileSync(filePath), {
+    'Content-Type': contentType,
+    'Cache-Control': 'public, max-age=3600'
+  });
+  return true;
+}
+
+function serveImage(res, kind, id, catalog) {
+  const svg = renderImage(kind, id, catalog);
+  if (!svg) {
+    return false;
+  }
+
+  send(res, 200, svg, {
+    'Content-Type': 'image/svg+xml',
+    'Cache-Control': 'public, max-age=86400'
+  });
+  return true;
+}
+
+const adminNotices = {
+  saved: 'Producto guardado.',
+  logout: 'Sesión cerrada.'
+};
+
+async function handleAdmin(req, res, { origin, pathname, url }) {
+  const session = admin.getSession(req);
+
+  if (pathname === '/admin/login' && req.method === 'POST') {
+    const sessionCookie = admin.login(await admin.readForm(req));
+    if (!sessionCookie) {
+      return sendHtml(res, views.renderAdminLogin({ origin, errors: ['Correo o contraseña incorrectos.'] }), 401);
+    }
+    return redirect(res, '/admin', [sessionCookie]);
+  }
+
+  if (pathname === '/admin/logout' && req.method === 'POST') {
+    return redirect(res, '/admin?notice=logout', [admin.logout(req)]);
+  }
+
+  if (session.status !== 'active') {
+    const expired = session.status === 'expired' || url.searchParams.has('expired');
+    if (pathname !== '/admin' || req.method === 'POST') {
+      return redirect(res, expired ? '/admin?expired=1' : '/admin', [expired && admin.clearSessionCookie()]);
+    }
+    return sendHtml(res, views.renderAdminLogin({
+      origin,
+      notice: expired ? 'Tu sesión expiró. Inicia sesión de nuevo.' : adminNotices[url.searchParams.get('notice')]
+    }), 200, expired ? { 'Set-Cookie': admin.clearSessionCookie() } : {});
+  }
+
+  const catalog = admin.getCatalog(req);
+
+  if (pathname === '/admin' && req.method !== 'POST') {
+    return sendHtml(res, views.renderAdminProducts({ origin, catalog, notice: adminNotices[url.searchParams.get('notice')] }));
+  }
+
+  if (pathname === '/admin/products/new' && req.method !== 'POST') {
+    return sendHtml(res, views.renderAdminProductForm({ origin }));
+  }
+
+  if (pathname === '/admin/products' && req.method === 'POST') {
+    const values = await admin.readForm(req);
+    const sandbox = admin.getSandbox(req);
+    const { product, errors } = admin.createProduct(sandbox.catalog, values);
+    if (errors) {
+      return sendHtml(res, views.renderAdminProductForm({ origin, values, errors }), 422, { 'Set-Cookie': [sandbox.cookie].filter(Boolean) });
+    }
+    return redirect(res, `/admin?notice=saved&product=${product.id}`, [sandbox.cookie]);
+  }
+
+  const productMatch = pathname.match(/^\/admin\/products\/([\w-]+)$/);
+  if (productMatch && getProduct(productMatch[1], catalog)) {
+    if (req.method !== 'POST') {
+      return sendHtml(res, views.renderAdminProductForm({ origin, product: getProduct(productMatch[1], catalog) }));
+    }
+
+    const values = await admin.readForm(req);
+    const sandbox = admin.getSandbox(req);
+    const product = getProduct(productMatch[1], sandbox.catalog);
+    const { errors } = admin.updateProduct(product, values);
+    if (errors) {
+      return sendHtml(res, views.renderAdminProductForm({ origin, product, values, errors }), 422, { 'Set-Cookie': [sandbox.cookie].filter(Boolean) });
+    }
+    return redirect(res, `/admin?notice=saved&product=${product.id}`, [sandbox.cookie]);
+  }
+
+  return sendHtml(res, views.renderNotFound({ origin, path: pathname }), 404);
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const origin = url.origin;
+  const pathname = url.pathname.length > 1 ? url.pathname.replace(/\/$/, '') : url.pathname;
+  const isAdmin = pathname === '/admin' || pathname.startsWith('/admin/');
+
+  if (req.method !== 'GET' && req.method !== 'HEAD' && !(isAdmin && req.method === 'POST')) {
+    return send(res, 405, 'Method Not Allowed', { Allow: isAdmin ? 'GET, HEAD, POST' : 'GET, HEAD' });
+  }
+
+  if (isAdmin) {
+    return await handleAdmin(req, res, { origin, pathname, url });
+  }
+
+  const catalog = admin.getCatalog(req);
+
+  if (pathname === '/') {
+    return sendHtml(res, views.renderHome({ origin, catalog }));
+  }
+
+  const line = pathname.slice(1);
+  if (Object.hasOwn(views.categoryPages, line)) {
+    return sendHtml(res, views.renderCategory({ origin, line, catalog }));
+  }
+
+  if (pathname === '/blog') {
+    const page = parseInt(url.searchParams.get('page'), 10) || 1;
+    return sendHtml(res, views.renderBlogList({ origin, page }));
+  }
+
+  const blogMatch = pathname.match(/^\/blog\/([\w-]+)$/);
+  if (blogMatch && getBlogPost(blogMatch[1])) {
+    return sendHtml(res, views.renderBlogPost({ origin, post: getBlogPost(blogMatch[1]), catalog }));
+  }
+
+  if (pathname === '/sitemap.xml') {
+    return send(res, 200, views.renderSitemap({ origin }), { 'Content-Type': 'application/xml; charset=utf-8' });
+  }
+
+  if (pathname === '/robots.txt') {
+    return send(res, 200, views.renderRobots({ origin }), { 'Content-Type': 'text/plain; charset=utf-8' });
+  }
+
+  const assetMatch = pathname.match(/^\/assets\/([\w.-]+)$/);
+  if (assetMatch && serveAsset(res, assetMatch[1])) {
+    return;
+  }
+
+  const imageMatch = pathname.match(/^\/images\/(?:(logo|banner)|(products|brands|blog)\/([\w-]+))\.svg$/);
+  if (imageMatch && serveImage(res, imageMatch[1] || imageMatch[2], imageMatch[3], catalog)) {
+    return;
+  }
+
+  return sendHtml(res, views.renderNotFound({ origin, path: pathname }), 404);
+}
+
+function createMockServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      console.error(`Mock storefront error on ${req.url}:`, error);
+      if (!res.headersSent) {
+        send(res, 500, 'Internal Server Error', { 'Content-Type': 'text/plain; charset=utf-8' });
+      }
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_PORT || process.env.PORT, 10) || 3000;
+  createMockServer().listen(port, () => {
+    console.log(`🌮 Galería Mexicana mock storefront running at http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,615 @@
+const {
+  store,
+  categories,
+  products,
+  brands,
+  blogPosts,
+  getProduct,
+  getProductsByLine,
+  formatPrice,
+  slugify
+} = require('./catalog');
+const { productLines } = require('./admin');
+
+const BLOG_PAGE_SIZE = 5;
+
+const categoryPages = {
+  tequila: {
+    label: 'Tequilas',
+    plural: 'tequilas',
+    heading: 'Tequilas Mexicanos',
+    intro: 'Blancos, reposados y añejos 100% de agave azul, importados directamente de Jalisco.',
+    description: 'Compra tequila en Costa Rica: Don Julio, José Cuervo, Patrón, Herradura y más. Blancos, reposados y añejos originales de Jalisco.',
+    types: ['Blanco', 'Reposado', 'Añejo', 'Extra Añejo']
+  },
+  mezcal: {
+    label: 'Mezcales',
+    plural: 'mezcales',
+    heading: 'Mezcales Mexicanos',
+    intro: 'Mezcales artesanales de Oaxaca, jóvenes y de espadín, destilados en palenques tradicionales.',
+    description: 'Compra mezcal en Costa Rica: 400 Conejos, Del Maguey y Montelobos. Mezcales jóvenes y de espadín originales de Oaxaca.',
+    types: ['Joven', 'Espadín']
+  },
+  cerveza: {
+    label: 'Cervezas',
+    plural: 'cervezas',
+    heading: 'Cervezas Mexicanas',
+    intro: 'Las cervezas clásicas de México, claras y oscuras, listas para acompañar tus tacos.',
+    description: 'Compra cerveza mexicana en Costa Rica: Corona, Modelo, Negra Modelo y Pacífico.',
+    types: ['Lager', 'Oscura']
+  },
+  dulces: {
+    label: 'Dulces',
+    plural: 'dulces',
+    heading: 'Dulces Mexicanos',
+    intro: 'Mazapanes, tamarindos y cajeta: los dulces tradicionales de la infancia mexicana.',
+    description: 'Compra dulces mexicanos en Costa Rica: mazapán De la Rosa, Pulparindo, obleas de cajeta y más.',
+    types: ['Mazapán', 'Tamarindo', 'Cajeta']
+  },
+  condimentos: {
+    label: 'Condimentos',
+    plural: 'condimentos',
+    heading: 'Condimentos Mexicanos',
+    intro: 'Salsas, chiles, mole y sazonadores para cocinar auténtica comida mexicana en casa.',
+    description: 'Compra condimentos mexicanos en Costa Rica: salsa Valentina, chiles La Costeña, Tajín y mole Doña María.',
+    types: ['Salsa picante', 'Chiles en escabeche', 'Sazonador', 'Mole']
+  }
+};
+
+const sortOptions = [
+  { value: 'featured', label: 'Destacados' },
+  { value: 'price-low', label: 'Precio: menor a mayor' },
+  { value: 'price-high', label: 'Precio: mayor a menor' },
+  { value: 'name-asc', label: 'Nombre: A-Z' },
+  { value: 'name-desc', label: 'Nombre: Z-A' },
+  { value: 'newest', label: 'Más recientes' }
+];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function serializeJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+function formatDate(isoDate) {
+  return new Date(`${isoDate}T12:00:00Z`).toLocaleDateString('es-CR', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+function whatsappUrl(text) {
+  return `https://api.whatsapp.com/send?phone=${store.whatsappPhone}&text=${encodeURIComponent(text)}`;
+}
+
+function renderOptions(options, selected) {
+  return options
+    .map(option => `<option value="${escapeHtml(option.value)}"${option.value === selected ? ' selected' : ''}>${escapeHtml(option.label)}</option>`)
+    .join('');
+}
+
+function renderHeader() {
+  return `
+  <header id="unified-header">
+    <div class="top-bar">
+      <a class="phone-link" href="tel:+${store.whatsappPhone}">📞 ${escapeHtml(store.phoneDisplay)}</a>
+      <span class="top-bar-note">Envíos a todo Costa Rica</span>
+    </div>
+    <div class="main-bar">
+      <a class="home-link" href="/" aria-label="${escapeHtml(store.name)} - Inicio">
+        <img src="/images/logo.svg" alt="${escapeHtml(store.name)} Logo" width="56" height="56">
+        <span class="site-title">${escapeHtml(store.name)}</span>
+        <span class="site-slogan">“${escapeHtml(store.slogan)}”</span>
+      </a>
+      <nav class="nav-menu" data-testid="nav-menu" aria-label="Navegación principal">
+        <a href="/tequila">Tequila</a>
+        <a href="/blog">Blog</a>
+        <a href="/admin">Administración</a>
+      </nav>
+      <button type="button" class="cart-icon" data-testid="cart-button" aria-label="Carrito de compras" aria-haspopup="dialog">
+        <span aria-hidden="true">🛒</span>
+        <span class="badge" data-testid="cart-counter" hidden>0</span>
+      </button>
+    </div>
+  </header>`;
+}
+
+function renderFooter() {
+  return `
+  <footer>
+    <div class="footer-columns">
+      <div>
+        <p class="footer-title">${escapeHtml(store.name)}</p>
+        <p>Productos mexicanos auténticos en ${escapeHtml(store.address.addressLocality)}, Costa Rica.</p>
+      </div>
+      <nav aria-label="Enlaces del sitio">
+        <a href="/">Inicio</a>
+        <a href="/#productos">Productos</a>
+        <a href="/sitemap.xml">Mapa del sitio</a>
+      </nav>
+      <div class="social-links">
+        <a href="${store.social.facebook}" target="_blank" rel="noopener" aria-label="Facebook" data-testid="social-link">Facebook</a>
+        <a href="${store.social.instagram}" target="_blank" rel="noopener" aria-label="Instagram" data-testid="social-link">Instagram</a>
+      </div>
+    </div>
+    <p class="copyright">© ${new Date().getFullYear()} ${escapeHtml(store.name)}. Todos los derechos reservados.</p>
+  </footer>
+  <a class="whatsapp-float" data-testid="whatsapp" href="${escapeHtml(whatsappUrl('Hola, me interesa información sobre sus productos.'))}" target="_blank" rel="noopener" aria-label="Escríbenos por WhatsApp">
+    <span aria-hidden="true">💬</span>
+  </a>`;
+}
+
+function renderLayout({ origin, path, title, description, image = '/images/banner.svg', ogType = 'website', jsonLd, body, data }) {
+  const canonical = `${origin}${path}`;
+  const scripts = data
+    ? `<script id="storefront-data" type="application/json">${serializeJson(data)}</script>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <link rel="canonical" href="${escapeHtml(canonical)}">
+  <meta property="og:type" content="${ogType}">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:image" content="${escapeHtml(`${origin}${image}`)}">
+  <meta property="og:url" content="${escapeHtml(canonical)}">
+  <meta name="twitter:card" content="summary_large_image">
+  <meta name="twitter:title" content="${escapeHtml(title)}">
+  <link rel="icon" href="data:,">
+  <link rel="stylesheet" href="/assets/storefront.css">
+  ${(jsonLd || []).map(entry => `<script type="application/ld+json">${serializeJson(entry)}</script>`).join('\n  ')}
+</head>
+<body data-whatsapp-phone="${store.whatsappPhone}">
+  ${renderHeader()}
+  ${body}
+  ${renderFooter()}
+  ${scripts}
+  <script src="/assets/storefront.js"></script>
+</body>
+</html>`;
+}
+
+function storeJsonLd(origin) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Store',
+    name: store.name,
+    description: 'Tienda de productos mexicanos auténticos en Costa Rica.',
+    url: `${origin}/`,
+    telephone: `+${store.whatsappPhone}`,
+    email: store.email,
+    address: { '@type': 'PostalAddress', ...store.address }
+  };
+}
+
+function offerCatalogJsonLd(origin, name, items) {
+  return {
+    ...storeJsonLd(origin),
+    hasOfferCatalog: {
+      '@type': 'OfferCatalog',
+      name,
+      itemListElement: items.map(product => ({
+        '@type': 'Offer',
+        price: product.price,
+        priceCurrency: 'CRC',
+        availability: product.inStock ? 'https://schema.org/InStock' : 'https://schema.org/OutOfStock',
+        itemOffered: {
+          '@type': 'Product',
+          name: product.name,
+          brand: product.brand,
+          image: `${origin}/images/products/${product.id}.svg`
+        }
+      }))
+    }
+  };
+}
+
+function renderHome({ origin, catalog = products }) {
+  const latestPosts = blogPosts.slice(0, 3);
+  const categoryOptions = [{ value: '', label: 'Todas las categorías' }]
+    .concat(Object.values(categories).map(category => ({ value: category, label: category })));
+
+  const body = `
+  <main>
+    <section class="banner" data-testid="banner">
+      <div class="banner-content">
+        <h1 class="banner-title">${escapeHtml(store.slogan)}</h1>
+        <p class="banner-subtitle">Productos mexicanos 100% auténticos directo de México</p>
+        <a class="btn btn-primary" href="#productos">¡Compra Aquí!</a>
+      </div>
+      <img class="banner-image" src="/images/banner.svg" alt="Productos mexicanos seleccionados" width="480" height="300">
+    </section>
+
+    <section id="productos" class="products-section">
+      <h2>Nuestros Productos Mexicanos</h2>
+      <p>Descubre auténticos sabores de México, desde tequilas premium hasta dulces tradicionales.</p>
+      <div class="product-filter" data-testid="filter">
+        <input type="search" class="search-input" placeholder="Buscar productos mexicanos..." aria-label="Buscar productos">
+        <button type="button" class="search-button" data-testid="search-btn">Buscar</button>
+        <select name="category" class="category-filter" aria-label="Filtrar por categoría">${renderOptions(categoryOptions, '')}</select>
+        <select name="sort" class="sort-select" aria-label="Ordenar productos">${renderOptions(sortOptions, 'featured')}</select>
+      </div>
+      <p class="results-summary" aria-live="polite"></p>
+      <div class="product-grid" data-testid="product-grid"></div>
+      <p class="no-results" hidden>No se encontraron productos</p>
+      <button type="button" class="load-more" data-testid="load-more" hidden>Ver más productos</button>
+    </section>
+
+    <section class="brands-section" data-testid="brands">
+      <h2>Nuestras Marcas</h2>
+      <div class="brand-list">
+        ${brands.map(brand => `<img class="brand-logo" src="/images/brands/${slugify(brand)}.svg" alt="Logo de ${escapeHtml(brand)}" width="120" height="60">`).join('\n        ')}
+      </div>
+    </section>
+
+    <section class="blog-section" data-testid="blog-section">
+      <h2>Desde nuestro blog</h2>
+      <div class="blog-list">
+        ${latestPosts.map(post => `
+        <article class="blog-card">
+          <h3 class="blog-title">${escapeHtml(post.title)}</h3>
+          <time datetime="${post.date}">${formatDate(post.date)}</time>
+          <p>${escapeHtml(post.excerpt)}</p>
+        </article>`).join('')}
+      </div>
+    </section>
+  </main>`;
+
+  return renderLayout({
+    origin,
+    path: '/',
+    title: 'Galería Mexicana | Productos Mexicanos en Costa Rica',
+    description: 'Galería Mexicana es tu tienda de productos mexicanos auténticos en Costa Rica: tequilas, mezcales, cervezas, dulces y condimentos por WhatsApp.',
+    jsonLd: [storeJsonLd(origin)],
+    body,
+    data: { page: 'home', pageSize: 12, products: catalog }
+  });
+}
+
+function renderCategory({ origin, line, catalog = products }) {
+  const config = categoryPages[line];
+  const lineProducts = getProductsByLine(line, catalog);
+  const featured = lineProducts.filter(product => product.premium).slice(0, 3);
+  const tabs = [{ category: 'todos', filter: 'all', label: 'Todos' }]
+    .concat(config.types.map(type => ({ category: slugify(type), filter: slugify(type), label: type })));
+  const brandOptions = [{ value: '', label: 'Todas las marcas' }]
+    .concat([...new Set(lineProducts.map(product => product.brand))].map(brand => ({ value: brand, label: brand })));
+
+  const featuredSection = featured.length === 0 ? '' : `
+    <section class="featured-${config.plural}">
+      <h2>${config.label} destacados</h2>
+      <div class="featured-list">
+        ${featured.map(product => `
+        <div class="featured-product" data-product-id="${product.id}">
+          <h3>${escapeHtml(product.name)}</h3>
+          <span>${formatPrice(product.price)}</span>
+        </div>`).join('')}
+      </div>
+    </section>
+`;
+
+  const body = `
+  <main>
+    <section class="${line}-hero">
+      <h1 class="page-title">${config.heading}</h1>
+      <p class="page-description ${line}-intro">${config.intro}</p>
+    </section>
+${featuredSection}
+    <section class="${line}-catalog">
+      <h2>Catálogo de ${config.plural}</h2>
+      <div class="filter-container ${line}-filters">
+        <div class="category-tabs" role="tablist" aria-label="Tipo de ${line}">
+          ${tabs.map((tab, index) => `<button type="button" role="tab" class="category-tab${index === 0 ? ' active' : ''}" data-category="${tab.category}" data-filter="${tab.filter}" aria-selected="${index === 0}">${tab.label}</button>`).join('\n          ')}
+        </div>
+        <input type="search" class="search-box" placeholder="Buscar ${config.plural}..." aria-label="Buscar ${config.plural}">
+        <select name="brand" class="brand-filter" aria-label="Filtrar por marca">${renderOptions(brandOptions, '')}</select>
+        <select name="sort" class="sort-select" aria-label="Ordenar ${config.plural}">${renderOptions(sortOptions, 'featured')}</select>
+      </div>
+      <p class="results-summary" aria-live="polite"></p>
+      <div class="category-grid ${line}-grid"></div>
+      <p class="no-results" hidden>No hay ${config.plural} en esta categoría</p>
+      <button type="button" class="load-more" data-testid="load-more" hidden>Ver más ${config.plural}</button>
+    </section>
+  </main>`;
+
+  return renderLayout({
+    origin,
+    path: `/${line}`,
+    title: `${config.heading} | Galería Mexicana Costa Rica`,
+    description: config.description,
+    jsonLd: [offerCatalogJsonLd(origin, config.label, lineProducts)],
+    body,
+    data: { page: 'category', line, pageSize: 12, products: lineProducts }
+  });
+}
+
+function renderBlogList({ origin, page }) {
+  const totalPages = Math.ceil(blogPosts.length / BLOG_PAGE_SIZE);
+  const currentPage = Math.min(Math.max(page, 1), totalPages);
+  const posts = blogPosts.slice((currentPage - 1) * BLOG_PAGE_SIZE, currentPage * BLOG_PAGE_SIZE);
+  const path = currentPage === 1 ? '/blog' : `/blog?page=${currentPage}`;
+
+  const pageLinks = [];
+  for (let i = 1; i <= totalPages; i++) {
+    const href = i === 1 ? '/blog' : `/blog?page=${i}`;
+    pageLinks.push(i === currentPage
+      ? `<a class="page-link active" href="${href}" aria-current="page" aria-label="Página ${i}">${i}</a>`
+      : `<a class="page-link" href="${href}" aria-label="Página ${i}">${i}</a>`);
+  }
+  if (currentPage > 1) {
+    const href = currentPage === 2 ? '/blog' : `/blog?page=${currentPage - 1}`;
+    pageLinks.unshift(`<a class="page-link" rel="prev" href="${href}">Anterior</a>`);
+  }
+  if (currentPage < totalPages) {
+    pageLinks.push(`<a class="page-link" rel="next" href="/blog?page=${currentPage + 1}">Siguiente</a>`);
+  }
+
+  const body = `
+  <main class="blog-page">
+    <h1 class="page-title">Blog de Galería Mexicana</h1>
+    <p class="page-description">Historias, recetas y tradiciones mexicanas contadas desde Costa Rica.</p>
+    <div class="blog-list">
+      ${posts.map(post => `
+      <article class="blog-post" data-slug="${post.slug}">
+        <img src="/images/blog/${post.slug}.svg" alt="${escapeHtml(post.title)}" width="320" height="180">
+        <h2 class="blog-title"><a href="/blog/${post.slug}">${escapeHtml(post.title)}</a></h2>
+        <p class="blog-meta">
+          <time class="blog-date" datetime="${post.date}">${formatDate(post.date)}</time>
+          · <span class="blog-author">${escapeHtml(post.author)}</span>
+        </p>
+        <p class="blog-excerpt">${escapeHtml(post.excerpt)}</p>
+        <a class="read-more" href="/blog/${post.slug}" aria-label="Leer más sobre ${escapeHtml(post.title)}">Leer más</a>
+      </article>`).join('')}
+    </div>
+    <nav class="pagination" aria-label="Paginación del blog">
+      ${pageLinks.join('\n      ')}
+    </nav>
+  </main>`;
+
+  return renderLayout({
+    origin,
+    path,
+    title: currentPage === 1 ? 'Blog | Galería Mexicana Costa Rica' : `Blog - Página ${currentPage} | Galería Mexicana Costa Rica`,
+    description: 'Artículos sobre tequila, mezcal, gastronomía y tradiciones mexicanas del equipo de Galería Mexicana en Costa Rica.',
+    jsonLd: [{
+      '@context': 'https://schema.org',
+      '@type': 'Blog',
+      name: 'Blog de Galería Mexicana',
+      url: `${origin}/blog`
+    }],
+    body,
+    data: { page: 'blog' }
+  });
+}
+
+function renderBlogPost({ origin, post, catalog = products }) {
+  const related = post.relatedProducts.map(id => getProduct(id, catalog)).filter(Boolean);
+  const articleUrl = `${origin}/blog/${post.slug}`;
+  const shareLinks = [
+    { network: 'facebook', label: 'Compartir en Facebook', href: `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(articleUrl)}` },
+    { network: 'x', label: 'Compartir en X', href: `https://x.com/intent/tweet?url=${encodeURIComponent(articleUrl)}&text=${encodeURIComponent(post.title)}` },
+    { network: 'whatsapp', label: 'Compartir por WhatsApp', href: `https://api.whatsapp.com/send?text=${encodeURIComponent(`${post.title} ${articleUrl}`)}` }
+  ];
+
+  const body = `
+  <main class="blog-page">
+    <article class="blog-article" data-slug="${post.slug}">
+      <a class="back-link" href="/blog">← Volver al blog</a>
+      <h1 class="article-title">${escapeHtml(post.title)}</h1>
+      <p class="article-meta">
+        <time class="article-date" datetime="${post.date}">${formatDate(post.date)}</time>
+        · Por <span class="article-author">${escapeHtml(post.author)}</span>
+      </p>
+      <img class="article-cover" src="/images/blog/${post.slug}.svg" alt="${escapeHtml(post.title)}" width="640" height="360">
+      <div class="article-body">
+        ${post.body.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n        ')}
+      </div>
+      <div class="share-links">
+        ${shareLinks.map(link => `<a class="share-link" data-network="${link.network}" href="${escapeHtml(link.href)}" target="_blank" rel="noopener" aria-label="${link.label}">${link.label}</a>`).join('\n        ')}
+      </div>
+    </article>
+    <section class="related-products">
+      <h2>Productos relacionados</h2>
+      <div class="related-list">
+        ${related.map(product => `
+        <div class="related-product" data-product-id="${product.id}">
+          <img src="/images/products/${product.id}.svg" alt="${escapeHtml(product.name)}" width="160" height="160">
+          <h3 class="related-name">${escapeHtml(product.name)}</h3>
+          <span class="related-price">${formatPrice(product.price)}</span>
+          <button type="button" class="btn btn-primary" data-testid="add-to-cart" data-product-id="${product.id}"${product.inStock ? '' : ' disabled'}>Agregar al carrito</button>
+        </div>`).join('')}
+      </div>
+    </section>
+  </main>`;
+
+  return renderLayout({
+    origin,
+    path: `/blog/${post.slug}`,
+    title: `${post.title} | Blog Galería Mexicana`,
+    description: post.excerpt,
+    image: `/images/blog/${post.slug}.svg`,
+    ogType: 'article',
+    jsonLd: [{
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: post.title,
+      datePublished: post.date,
+      author: { '@type': 'Person', name: post.author },
+      publisher: { '@type': 'Organization', name: store.name },
+      image: `${origin}/images/blog/${post.slug}.svg`,
+      mainEntityOfPage: articleUrl
+    }],
+    body,
+    data: { page: 'article', products: related }
+  });
+}
+
+function renderAdminLayout({ origin, path, title, body }) {
+  return renderLayout({
+    origin,
+    path,
+    title: `${title} | Administración Galería Mexicana`,
+    description: 'Panel de administración de Galería Mexicana.',
+    body: `
+  <main class="admin-page">
+    ${body}
+  </main>`,
+    data: { page: 'admin' }
+  });
+}
+
+function renderMessages({ notice, errors = [] }) {
+  return [
+    notice ? `<p class="admin-notice" role="status">${escapeHtml(notice)}</p>` : '',
+    errors.length > 0
+      ? `<ul class="admin-errors" role="alert">${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`
+      : ''
+  ].join('\n    ');
+}
+
+function renderAdminLogin({ origin, notice, errors }) {
+  const body = `
+    <h1 class="page-title">Administración</h1>
+    ${renderMessages({ notice, errors })}
+    <form class="admin-login" data-testid="admin-login" method="post" action="/admin/login">
+      <label>Correo electrónico <input type="email" name="email" autocomplete="username" required></label>
+      <label>Contraseña <input type="password" name="password" autocomplete="current-password" required></label>
+      <button type="submit" class="btn btn-primary">Iniciar sesión</button>
+    </form>`;
+
+  return renderAdminLayout({ origin, path: '/admin', title: 'Iniciar sesión', body });
+}
+
+function renderAdminProducts({ origin, catalog, notice }) {
+  const body = `
+    <div class="admin-toolbar">
+      <h1 class="page-title">Productos</h1>
+      <a class="btn btn-primary" data-testid="new-product" href="/admin/products/new">Nuevo producto</a>
+      <form class="admin-logout" method="post" action="/admin/logout">
+        <button type="submit" class="btn" data-testid="logout">Cerrar sesión</button>
+      </form>
+    </div>
+    ${renderMessages({ notice })}
+    <table class="admin-products" data-testid="admin-products">
+      <thead>
+        <tr><th scope="col">Producto</th><th scope="col">Línea</th><th scope="col">Precio</th><th scope="col">Inventario</th><th scope="col">Acciones</th></tr>
+      </thead>
+      <tbody>
+        ${catalog.map(product => `
+        <tr class="admin-product-row" data-product-id="${product.id}">
+          <td class="admin-product-name">${escapeHtml(product.name)}</td>
+          <td class="admin-product-line">${escapeHtml(product.line)}</td>
+          <td class="admin-product-price">${formatPrice(product.price)}</td>
+          <td class="admin-product-stock">${product.inStock ? 'Disponible' : 'Agotado'}</td>
+          <td><a class="edit-product" href="/admin/products/${product.id}" aria-label="Editar ${escapeHtml(product.name)}">Editar</a></td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+
+  return renderAdminLayout({ origin, path: '/admin', title: 'Productos', body });
+}
+
+function renderAdminProductForm({ origin, product, values = {}, errors }) {
+  const fields = product
+    ? `
+      <p class="admin-product-name">${escapeHtml(product.name)}</p>
+      <label>Precio (₡) <input type="number" name="price" min="1" step="1" value="${escapeHtml(values.price ?? product.price)}" required></label>
+      <label><input type="checkbox" name="inStock"${(values.price === undefined ? product.inStock : values.inStock === 'on') ? ' checked' : ''}> Disponible</label>`
+    : `
+      <label>Nombre <input type="text" name="name" value="${escapeHtml(values.name || '')}" required></label>
+      <label>Marca <input type="text" name="brand" value="${escapeHtml(values.brand || '')}" required></label>
+      <label>Línea <select name="line" required>${renderOptions(Object.keys(productLines).map(line => ({ value: line, label: line })), values.line || 'tequila')}</select></label>
+      <label>Tipo <input type="text" name="type" value="${escapeHtml(values.type || '')}"></label>
+      <label>Precio (₡) <input type="number" name="price" min="1" step="1" value="${escapeHtml(values.price || '')}" required></label>
+      <label>Descripción <textarea name="description">${escapeHtml(values.description || '')}</textarea></label>
+      <label><input type="checkbox" name="inStock"${values.name === undefined || values.inStock === 'on' ? ' checked' : ''}> Disponible</label>`;
+
+  const body = `
+    <a class="back-link" href="/admin">← Volver a productos</a>
+    <h1 class="page-title">${product ? 'Editar producto' : 'Nuevo producto'}</h1>
+    ${renderMessages({ errors })}
+    <form class="admin-product-form" data-testid="product-form" method="post" action="${product ? `/admin/products/${product.id}` : '/admin/products'}">
+      ${fields.trim()}
+      <button type="submit" class="btn btn-primary" data-testid="save-product">Guardar</button>
+    </form>`;
+
+  return renderAdminLayout({
+    origin,
+    path: product ? `/admin/products/${product.id}` : '/admin/products/new',
+    title: product ? `Editar ${product.name}` : 'Nuevo producto',
+    body
+  });
+}
+
+function renderNotFound({ origin, path }) {
+  const body = `
+  <main class="not-found">
+    <h1 class="page-title">Página no encontrada</h1>
+    <p>La página que buscas no existe o fue movida.</p>
+    <a class="btn btn-primary" href="/">Volver al inicio</a>
+  </main>`;
+
+  return renderLayout({
+    origin,
+    path,
+    title: 'Página no encontrada | Galería Mexicana',
+    description: 'La página que buscas no existe en Galería Mexicana.',
+    body,
+    data: { page: 'not-found' }
+  });
+}
+
+function renderSitemap({ origin }) {
+  const entries = [
+    { loc: '/', lastmod: blogPosts[0].date },
+    ...Object.keys(categoryPages).map(line => ({ loc: `/${line}`, lastmod: blogPosts[0].date })),
+    { loc: '/blog', lastmod: blogPosts[0].date }
+  ].concat(blogPosts.map(post => ({ loc: `/blog/${post.slug}`, lastmod: post.date })));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(entry => `  <url>
+    <loc>${origin}${entry.loc}</loc>
+    <lastmod>${entry.lastmod}</lastmod>
+  </url>`).join('\n')}
+</urlset>
+`;
+}
+
+function renderRobots({ origin }) {
+  return `User-agent: *
+Allow: /
+Disallow: /admin
+
+Sitemap: ${origin}/sitemap.xml
+`;
+}
+
+module.exports = {
+  renderHome,
+  categoryPages,
+  renderCategory,
+  renderBlogList,
+  renderBlogPost,
+  renderAdminLogin,
+  renderAdminProducts,
+  renderAdminProductForm,
+  renderNotFound,
+  renderSitemap,
+  renderRobots,
+  escapeHtml
+};
@@ -0,0 +1,158 @@
+import { expect } from '@playwright/test';
+import { BasePage } from '../utils/test-helpers.js';
+import { adminSelectors } from './selectors.js';
+import { parseColones, toColones } from '../utils/money.js';
+
+const SESSION_COOKIE = 'admin_session';
+
+export class AdminPage extends BasePage {
+  constructor(page) {
+    super(page);
+
+    Object.assign(this, adminSelectors);
+  }
+
+  async navigateToAdmin() {
+    await this.navigate('/admin');
+  }
+
+  async submit(button) {
+    const loaded = this.page.waitForEvent('load');
+    await this.helpers.safeClick(button);
+    await loaded;
+    await this.helpers.waitForPageLoad();
+  }
+
+  async login(credentials = this.environment.admin) {
+    if (!credentials) {
+      throw new Error(`No admin credentials configured for the "${this.environment.name}" environment`);
+    }
+
+    await this.helpers.safeFill(this.emailInput, credentials.email);
+    await this.helpers.safeFill(this.passwordInput, credentials.password);
+    await this.submit(this.submitButton);
+  }
+
+  async logout() {
+    await this.submit(this.logoutButton);
+  }
+
+  async isLoggedIn() {
+    return await this.page.locator(this.logoutButton).isVisible();
+  }
+
+  async expireSession() {
+    const context = this.page.context();
+    const session = (await context.cookies()).find(cookie => cookie.name === SESSION_COOKIE);
+    if (!session) {
+      throw new Error('There is no admin session to expire');
+    }
+
+    await context.addCookies([{ ...session, value: `${session.value}-expired` }]);
+  }
+
+  async getNotice() {
+    const notice = this.page.locator(this.notice);
+    return await notice.isVisible() ? (await notice.textContent()).trim() : null;
+  }
+
+  async getErrors() {
+    return (await this.page.locator(this.errors).allTextContents()).map(text => text.trim());
+  }
+
+  getProductRow(id) {
+    return this.page.locator(this.productRows).and(this.page.locator(`[data-product-id="${id}"]`));
+  }
+
+  async readRow(row) {
+    return {
+      id: await row.getAttribute('data-product-id'),
+      name: (await row.locator(this.rowName).textContent()).trim(),
+      line: (await row.locator(this.rowLine).textContent()).trim(),
+      price: parseColones(await row.locator(this.rowPrice).textContent()),
+      inStock: (await row.locator(this.rowStock).textContent()).trim() === 'Disponible'
+    };
+  }
+
+  async getProducts() {
+    const rows = this.page.locator(this.productRows);
+    const count = await rows.count();
+    const products = [];
+
+    for (let i = 0; i < count; i++) {
+      products.push(await this.readRow(rows.nth(i)));
+    }
+
+    return products;
+  }
+
+  async getProduct(id) {
+    return await this.readRow(this.getProductRow(id));
+  }
+
+  async openNewProductForm() {
+    await this.helpers.safeClick(this.newProductButton);
+    await this.page.waitForURL(url => url.pathname === '/admin/products/new');
+    await this.helpers.waitForPageLoad();
+  }
+
+  async createProduct({ name, brand, line = 'tequila', type = '', price, description = '', inStock = true }) {
+    await this.openNewProductForm();
+
+    await this.helpers.safeFill(this.nameInput, name);
+    await this.helpers.safeFill(this.brandInput, brand);
+    await this.page.locator(this.lineSelect).selectOption(line);
+    await this.helpers.safeFill(this.typeInput, type);
+    await this.helpers.safeFill(this.priceInput, String(toColones(price)));
+    await this.helpers.safeFill(this.descriptionInput, description);
+    await this.page.locator(this.inStockCheckbox).setChecked(inStock);
+    await this.submit(this.saveButton);
+
+    return new URL(this.page.url()).searchParams.get('product');
+  }
+
+  async openProductEditor(id) {
+    await this.helpers.safeClick(this.getProductRow(id).locator(this.editLink));
+    await this.page.waitForURL(url => url.pathname === `/admin/products/${id}`);
+    await this.helpers.waitForPageLoad();
+  }
+
+  async updateProduct(id, { price, inStock }) {
+    await this.openProductEditor(id);
+
+    if (price !== undefined) {
+      await this.helpers.safeFill(this.priceInput, String(toColones(price)));
+    }
+    if (inStock !== undefined) {
+      await this.page.locator(this.inStockCheckbox).setChecked(inStock);
+    }
+    await this.submit(this.saveButton);
+  }
+
+  async setPrice(id, price) {
+    await this.updateProduct(id, { price });
+  }
+
+  async markOutOfStock(id) {
+    await this.updateProduct(id, { inStock: false });
+  }
+
+  async markInStock(id) {
+    await this.updateProduct(id, { inStock: true });
+  }
+
+  async verifyLoginFormShown() {
+    await expect(this.page.locator(this.loginForm)).toBeVisible();
+    await expect(this.page.locator(this.productTable)).toHaveCount(0);
+  }
+
+  async verifyLoggedIn() {
+    await expect(this.page.locator(this.logoutButton)).toBeVisible();
+    await expect(this.page.locator(this.productTable)).toBeVisible();
+    expect(await this.page.locator(this.productRows).count()).toBeGreaterThan(0);
+  }
+
+  async verifyProduct(id, expected) {
+    expect(await this.getProduct(id)).toMatchObject(expected);
+  }
+}
@@ -0,0 +1,233 @@
+import { expect } from '@playwright/test';
+import { BasePage } from '../utils/test-helpers.js';
+import { blogSelectors } from './selectors.js';
+import { parseColones } from '../utils/money.js';
+
+export class BlogPage extends BasePage {
+  constructor(page) {
+    super(page);
+
+    Object.assign(this, blogSelectors);
+  }
+
+  async navigateToBlog(pageNumber = 1) {
+    await this.navigate(pageNumber === 1 ? '/blog' : `/blog?page=${pageNumber}`);
+  }
+
+  async navigateToArticle(slug) {
+    await this.navigate(`/blog/${slug}`);
+  }
+
+  async getPostCount() {
+    return await this.page.locator(this.postCards).count();
+  }
+
+  getPost(index) {
+    return this.page.locator(this.postCards).nth(index);
+  }
+
+  async getPostSummary(post) {
+    return {
+      slug: await post.getAttribute('data-slug'),
+      title: (await post.locator(this.postTitles).textContent()).trim(),
+      href: await post.locator(this.postLinks).getAttribute('href'),
+      date: await post.locator(this.postDates).getAttribute('datetime'),
+      author: (await post.locator(this.postAuthors).textContent()).trim(),
+      excerpt: (await post.locator(this.postExcerpts).textContent()).trim()
+    };
+  }
+
+  async getPosts() {
+    const posts = [];
+    const count = await this.getPostCount();
+
+    for (let i = 0; i < count; i++) {
+      posts.push(await this.getPostSummary(this.getPost(i)));
+    }
+
+    return posts;
+  }
+
+  async followToArticle(link) {
+    const href = await link.getAttribute('href');
+    await this.helpers.safeClick(link);
+    await this.page.waitForURL(url => url.pathname === href);
+    await this.helpers.waitForPageLoad();
+  }
+
+  async openPost(index = 0) {
+    await this.followToArticle(this.getPost(index).locator(this.postLinks));
+  }
+
+  async openPostByTitle(title) {
+    await this.followToArticle(this.page.locator(this.postLinks).filter({ hasText: title }));
+  }
+
+  async readMore(index = 0) {
+    await this.followToArticle(this.getPost(index).locator(this.readMoreLinks));
+  }
+
+  async getCurrentPageNumber() {
+    return Number(await this.page.locator(this.currentPageLink).textContent());
+  }
+
+  async getPageCount() {
+    const labels = await this.page.locator(this.pageLinks).allTextContents();
+    return labels.filter(label => /^\d+$/.test(label.trim())).length;
+  }
+
+  async followPageLink(link) {
+    const locator = typeof link === 'string' ? this.page.locator(link) : link;
+    const target = new URL(await locator.getAttribute('href'), this.page.url());
+    await this.helpers.safeClick(link);
+    await this.page.waitForURL(url => url.pathname === target.pathname && url.search === target.search);
+    await this.helpers.waitForPageLoad();
+  }
+
+  async goToPage(pageNumber) {
+    await this.followPageLink(this.page.locator(this.pageLinks).filter({ hasText: new RegExp(`^${pageNumber}$`) }));
+  }
+
+  async nextPage() {
+    await this.followPageLink(this.nextPageLink);
+  }
+
+  async previousPage() {
+    await this.followPageLink(this.prevPageLink);
+  }
+
+  async getArticle() {
+    const article = this.page.locator(this.article);
+
+    return {
+      slug: await article.getAttribute('data-slug'),
+      title: (await this.page.locator(this.articleTitle).textContent()).trim(),
+      date: await this.page.locator(this.articleDate).getAttribute('datetime'),
+      author: (await this.page.locator(this.articleAuthor).textContent()).trim(),
+      paragraphs: (await this.page.locator(this.articleBody).locator('p').allTextContents()).map(text => text.trim())
+    };
+  }
+
+  async getShareLinks() {
+    return await this.page.locator(this.shareLinks).evaluateAll(links => links.map(link => ({
+      network: link.dataset.network,
+      href: link.getAttribute('href'),
+      target: link.getAttribute('target'),
+      rel: link.getAttribute('rel')
+    })));
+  }
+
+  async getRelatedProducts() {
+    const products = this.page.locator(this.relatedProducts);
+    const count = await products.count();
+    const related = [];
+
+    for (let i = 0; i < count; i++) {
+      const product = products.nth(i);
+      related.push({
+        id: await product.getAttribute('data-product-id'),
+        name: (await product.locator(this.relatedName).textContent()).trim(),
+        price: parseColones(await product.locator(this.relatedPrice).textContent()),
+        inStock: await product.locator(this.relatedAddToCart).isEnabled()
+      });
+    }
+
+    return related;
+  }
+
+  async addRelatedProductToCart(index = 0) {
+    const product = this.page.locator(this.relatedProducts).nth(index);
+    const addButton = product.locator(this.relatedAddToCart);
+    const count = await this.waits.forCountChange(() => this.cart.getItemCount(), () => addButton.click());
+    await this.cart.recordAdd(product, { name: this.relatedName, price: this.relatedPrice });
+    return count;
+  }
+
+  async backToBlog() {
+    await this.helpers.safeClick(this.backLink);
+    await this.page.waitForURL(url => url.pathname === '/blog');
+    await this.helpers.waitForPageLoad();
+  }
+
+  async verifyBlogListLoaded() {
+    await expect(this.page.locator(this.pageTitle)).toBeVisible();
+    await expect(this.page.locator(this.postList)).toBeVisible();
+    await expect(this.page.locator(this.pagination)).toBeVisible();
+  }
+
+  async verifyPostsDisplayed() {
+    const posts = await this.getPosts();
+    expect(posts.length).toBeGreaterThan(0);
+
+    for (const post of posts) {
+      expect(post.title, 'post title').toBeTruthy();
+      expect(post.href, `link for "${post.title}"`).toBe(`/blog/${post.slug}`);
+      expect(post.date, `date for "${post.title}"`).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(post.author, `author for "${post.title}"`).toBeTruthy();
+      expect(post.excerpt, `excerpt for "${post.title}"`).toBeTruthy();
+    }
+  }
+
+  async verifyPostsNewestFirst() {
+    const dates = (await this.getPosts()).map(post => post.date);
+    expect(dates).toEqual([...dates].sort().reverse());
+  }
+
+  async verifyArticleLoaded() {
+    await expect(this.page.locator(this.articleTitle)).toBeVisible();
+    await expect(this.page.locator(this.articleDate)).toBeVisible();
+    await expect(this.page.locator(this.articleAuthor)).toBeVisible();
+    await expect(this.page.locator(this.articleCover)).toBeVisible();
+
+    const { paragraphs } = await this.getArticle();
+    expect(paragraphs.length).toBeGreaterThan(0);
+  }
+
+  async verifyArticleMatchesSummary(summary) {
+    const article = await this.getArticle();
+
+    expect(article.slug).toBe(summary.slug);
+    expect(article.title).toBe(summary.title);
+    expect(article.date).toBe(summary.date);
+    expect(article.author).toBe(summary.author);
+    expect(new URL(this.page.url()).pathname).toBe(summary.href);
+  }
+
+  async getJsonLd(type) {
+    const entries = (await this.page.locator('script[type="application/ld+json"]').allTextContents()).map(text => JSON.parse(text));
+    return entries.find(entry => entry['@type'] === type) || null;
+  }
+
+  async verifyArticleSEO() {
+    await this.checkSEO();
+
+    const article = await this.getArticle();
+    const canonical = await this.page.locator('link[rel="canonical"]').getAttribute('href');
+
+    expect(await this.getTitle()).toContain(article.title);
+    expect(new URL(canonical).pathname).toBe(`/blog/${article.slug}`);
+    await expect(this.page.locator('meta[property="og:type"]')).toHaveAttribute('content', 'article');
+    await expect(this.page.locator('meta[property="og:title"]')).toHaveAttribute('content', await this.getTitle());
+    await expect(this.page.locator('meta[property="og:url"]')).toHaveAttribute('content', canonical);
+    await expect(this.page.locator('meta[property="og:image"]')).toHaveAttribute('content', /^https?:\/\//);
+
+    const posting = await this.getJsonLd('BlogPosting');
+    expect(posting, 'BlogPosting structured data').not.toBeNull();
+    expect(posting.headline).toBe(article.title);
+    expect(posting.datePublished).toBe(article.date);
+    expect(posting.author?.name).toBe(article.author);
+    expect(posting.mainEntityOfPage).toBe(canonical);
+  }
+
+  async verifyShareLinks() {
+    const canonical = await this.page.locator('link[rel="canonical"]').getAttribute('href');
+    const shareLinks = await this.getShareLinks();
+    expect(shareLinks.length).toBeGreaterThan(0);
+
+    for (const link of shareLinks) {
+      expect(decodeURIComponent(link.href), `${link.network} share link`).toContain(canonical);
+      expect(link.target, `${link.network} share link`).toBe('_blank');
+      expect(link.rel, `${link.network} share link`).toContain('noopener');
+    }
+  }
+}
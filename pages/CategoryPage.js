@@ -0,0 +1,339 @@
+import { expect } from '@playwright/test';
+import { BasePage, CustomAssertions } from '../utils/test-helpers.js';
+import { ProductListing } from './components/ProductListing.js';
+import { sharedSelectors, categorySelectors, categoryLineSelectors } from './selectors.js';
+import { getCategory } from '../config/categories.js';
+import { parseColones } from '../utils/money.js';
+
+const tabSelector = tab => `[data-category="${tab}"], .category-tab[data-filter="${tab}"]`;
+
+export class CategoryPage extends BasePage {
+  constructor(page, line = 'tequila') {
+    super(page);
+
+    this.category = getCategory(line);
+    const selectors = { ...categorySelectors, ...categoryLineSelectors(this.category) };
+    Object.assign(this, selectors);
+    this.listing = new ProductListing(page, this.helpers, selectors);
+    this.cartCounter = sharedSelectors.cartCounter;
+    this.fieldSelectors = {
+      name: this.productName,
+      brand: this.productBrand,
+      type: this.productType,
+      price: this.productPrice,
+      image: this.productImage,
+      alcohol: this.alcoholContent
+    };
+  }
+
+  async navigateToCategoryPage() {
+    await this.navigate(this.category.path);
+    await this.waitForPageLoad();
+  }
+
+  async selectCategory(category) {
+    await this.waits.forDomToSettle(this.productGrid, () => this.helpers.safeClick(tabSelector(category)));
+  }
+
+  async selectAllCategories() {
+    await this.waits.forDomToSettle(this.productGrid, () => this.helpers.safeClick(this.allCategoryTab));
+  }
+
+  async sortProducts(sortOption) {
+    await this.listing.sortProducts(sortOption);
+  }
+
+  async filterByBrand(brand) {
+    const brandFilter = this.page.locator(this.brandFilter);
+    if (await brandFilter.isVisible()) {
+      await this.waits.forDomToSettle(this.productGrid, () => brandFilter.selectOption(brand));
+    }
+  }
+
+  async searchProducts(searchTerm) {
+    const searchBox = this.page.locator(this.searchBox);
+    if (await searchBox.isVisible()) {
+      await this.helpers.safeFill(searchBox, searchTerm);
+      await this.waits.forDomToSettle(this.productGrid, () => searchBox.press('Enter'));
+    }
+  }
+
+  async getProductCount() {
+    return await this.page.locator(this.productCards).count();
+  }
+
+  async getFirstProduct() {
+    return this.page.locator(this.productCards).first();
+  }
+
+  async getProductByName(name) {
+    return this.page.locator(this.productCards).filter({ hasText: name });
+  }
+
+  async getProductByBrand(brand) {
+    return this.page.locator(this.productCards).filter({ hasText: brand });
+  }
+
+  async addProductToCart(productElement) {
+    const addButton = productElement.locator(this.addToCartBtn);
+    const count = await this.waits.forCountChange(() => this.getCartItemCount(), () => addButton.click());
+    await this.cart.recordAdd(productElement, { name: this.productName, price: this.productPrice });
+    return count;
+  }
+
+  async addFirstProductToCart() {
+    await this.addProductToCart(await this.getFirstProduct());
+  }
+
+  async viewProductDetails(productElement) {
+    const quickViewBtn = productElement.locator(this.quickViewBtn);
+    if (await quickViewBtn.isVisible()) {
+      await quickViewBtn.click();
+      await this.helpers.waitForElement(this.productModal);
+    }
+  }
+
+  async closeProductModal() {
+    await this.helpers.safeClick(this.modalClose);
+    await this.helpers.waitForElementToDisappear(this.productModal);
+  }
+
+  async getProductInfo(productElement) {
+    const name = await productElement.locator(this.productName).textContent();
+    const brand = await productElement.locator(this.productBrand).textContent();
+    const type = await productElement.locator(this.productType).textContent();
+    const price = await this.getProductPrice(productElement);
+
+    return { name, brand, type, price };
+  }
+
+  async getProductPrice(productElement) {
+    return parseColones(await productElement.locator(this.productPrice).textContent());
+  }
+
+  async getOriginalPrice(productElement) {
+    const originalPrice = productElement.locator(this.originalPrice);
+    if (await originalPrice.count() === 0) {
+      return null;
+    }
+    return parseColones(await originalPrice.textContent());
+  }
+
+  async getProductPrices() {
+    const prices = await this.page.locator(this.productCards).locator(this.productPrice).allTextContents();
+    return prices.map(parseColones);
+  }
+
+  async getProductBrand(productElement) {
+    return await productElement.locator(this.productBrand).textContent();
+  }
+
+  async getProductType(productElement) {
+    return await productElement.locator(this.productType).textContent();
+  }
+
+  async isInStock(productElement) {
+    const stockElement = productElement.locator(this.stockStatus);
+    if (await stockElement.isVisible()) {
+      const status = await stockElement.textContent();
+      return !status.toLowerCase().includes('agotado');
+    }
+    return true;
+  }
+
+  async hasDiscount(productElement) {
+    return await productElement.locator(this.discountBadge).isVisible();
+  }
+
+  async isNewProduct(productElement) {
+    return await productElement.locator(this.newBadge).isVisible();
+  }
+
+  async isPremium(productElement) {
+    return await productElement.locator(this.premiumBadge).isVisible();
+  }
+
+  async getBadges(productElement) {
+    const badges = [];
+    if (await this.hasDiscount(productElement)) {
+      badges.push('discount');
+    }
+    if (await this.isNewProduct(productElement)) {
+      badges.push('new');
+    }
+    if (await this.isPremium(productElement)) {
+      badges.push('premium');
+    }
+    return badges;
+  }
+
+  async getQuickViewDetails(productElement) {
+    await this.viewProductDetails(productElement);
+
+    const modal = this.page.locator(this.productModal);
+    if (!(await modal.isVisible())) {
+      return {};
+    }
+
+    const readOptional = async selector => {
+      const element = modal.locator(selector);
+      return await element.count() > 0 ? (await element.first().textContent()).trim() : null;
+    };
+    const details = {
+      alcohol: await readOptional(this.alcoholContent),
+      origin: (await readOptional(this.origin))?.replace(/^Origen:\s*/i, '') ?? null,
+      age: await readOptional(this.ageInfo)
+    };
+
+    await this.closeProductModal();
+    return details;
+  }
+
+  async loadMoreProducts() {
+    const loadMoreBtn = this.page.locator(this.loadMoreBtn);
+    if (await loadMoreBtn.isVisible()) {
+      await this.waits.forDomToSettle(this.productGrid, () => loadMoreBtn.click());
+    }
+  }
+
+  async getTabSlugs() {
+    return await this.page.locator(this.categoryTabs).evaluateAll(tabs =>
+      tabs.map(tab => tab.getAttribute('data-category') || tab.getAttribute('data-filter')));
+  }
+
+  async verifyPageLoaded() {
+    await expect(this.page.locator(this.pageTitle)).toBeVisible();
+    await expect(this.page.locator(this.productGrid)).toBeVisible();
+    await expect(this.page.locator(this.filterContainer)).toBeVisible();
+    await expect(this.page.locator(this.featuredSection)).toHaveCount(this.category.featured ? 1 : 0);
+  }
+
+  async verifyProductsDisplayed() {
+    expect(await this.getProductCount()).toBeGreaterThan(0);
+
+    const firstProduct = await this.getFirstProduct();
+    await expect(firstProduct.locator(this.productName)).toBeVisible();
+    await expect(firstProduct.locator(this.productPrice)).toBeVisible();
+    await expect(firstProduct.locator(this.productImage)).toBeVisible();
+  }
+
+  async verifyFilterTabs() {
+    await expect(this.page.locator(this.allCategoryTab)).toBeVisible();
+    for (const tab of this.category.tabs) {
+      await expect(this.page.locator(tabSelector(tab))).toBeVisible();
+    }
+  }
+
+  async verifyFilterFunctionality(category) {
+    await this.selectCategory(category);
+
+    const activeTab = this.page.locator(`[data-category="${category}"].active, .category-tab[data-filter="${category}"].active`);
+    await expect(activeTab).toBeVisible();
+
+    expect(await this.getProductCount()).toBeGreaterThan(0);
+  }
+
+  async verifyProductsMatchTab(category) {
+    const label = (await this.page.locator(tabSelector(category)).textContent()).trim();
+    const types = await this.page.locator(this.productCards).locator(this.productType).allTextContents();
+
+    expect(types.length).toBeGreaterThan(0);
+    for (const type of types) {
+      expect(type.trim()).toBe(label);
+    }
+  }
+
+  async verifyProductDetails() {
+    const firstProduct = await this.getFirstProduct();
+    const info = await this.getProductInfo(firstProduct);
+
+    expect(info.name).toBeTruthy();
+    expect(info.price).toBeGreaterThan(0);
+    expect(info.brand).toBeTruthy();
+  }
+
+  async verifyProductFields() {
+    const firstProduct = await this.getFirstProduct();
+
+    for (const [field, selector] of Object.entries(this.fieldSelectors)) {
+      const element = firstProduct.locator(selector);
+      if (this.category.fields.includes(field)) {
+        await expect(element, `${this.category.line} card shows ${field}`).toBeVisible();
+      } else {
+        await expect(element, `${this.category.line} card has no ${field}`).toHaveCount(0);
+      }
+    }
+  }
+
+  async verifyPriceFormat() {
+    const products = this.page.locator(this.productCards);
+    const count = await products.count();
+
+    for (let i = 0; i < Math.min(count, 5); i++) {
+      await CustomAssertions.toHaveValidPrice(products.nth(i).locator(this.productPrice));
+    }
+  }
+
+  async verifyBrandProducts(brand = this.category.brand) {
+    const brandProducts = await this.getProductByBrand(brand);
+    expect(await brandProducts.count()).toBeGreaterThan(0);
+    await expect(brandProducts.first().locator(this.productBrand)).toContainText(brand);
+  }
+
+  async verifyProductModal() {
+    await this.viewProductDetails(await this.getFirstProduct());
+
+    await expect(this.page.locator(this.productModal)).toBeVisible();
+    await expect(this.page.locator(this.modalImage)).toBeVisible();
+    await expect(this.page.locator(this.modalDetails)).toBeVisible();
+
+    await this.closeProductModal();
+  }
+
+  async verifyResponsiveDesign() {
+    await this.page.setViewportSize({ width: 375, height: 667 });
+    await this.helpers.waitForPageLoad();
+
+    await expect(this.page.locator(this.productGrid)).toBeVisible();
+    await expect(this.page.locator(this.filterContainer)).toBeVisible();
+
+    await this.page.setViewportSize({ width: 768, height: 1024 });
+    await this.helpers.waitForPageLoad();
+
+    await expect(this.page.locator(this.productGrid)).toBeVisible();
+
+    await this.page.setViewportSize({ width: 1280, height: 720 });
+    await this.helpers.waitForPageLoad();
+  }
+
+  async verifySEOElements() {
+    await this.checkSEO();
+
+    const title = await this.page.title();
+    expect(title.toLowerCase()).toContain(this.category.keyword);
+
+    const jsonLdScripts = this.page.locator('script[type="application/ld+json"]');
+    expect(await jsonLdScripts.count()).toBeGreaterThan(0);
+  }
+
+  async verifyCartIntegration() {
+    const initialCartCount = await this.getCartItemCount();
+    await this.addFirstProductToCart();
+
+    const newCartCount = await this.getCartItemCount();
+    expect(newCartCount).toBeGreaterThan(initialCartCount);
+  }
+
+  async getCartItemCount() {
+    return await this.cart.getItemCount();
+  }
+
+  async waitForPageLoad() {
+    await this.helpers.waitForPageLoad();
+    await this.page.waitForLoadState('networkidle');
+  }
+
+  async takeScreenshot(name = `${this.category.line}-page`) {
+    return await this.helpers.takeScreenshot(name);
+  }
+}
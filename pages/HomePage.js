@@ -1,49 +1,15 @@
 import { expect } from '@playwright/test';
 import { BasePage } from '../utils/test-helpers.js';
+import { ProductListing } from './components/ProductListing.js';
+import { sharedSelectors, cartSelectors, homeSelectors } from './selectors.js';
+import { parseColones } from '../utils/money.js';
 
 export class HomePage extends BasePage {
   constructor(page) {
     super(page);
     
-    this.header = '#unified-header';
-    this.logo = 'img[alt*="Galería Mexicana"]';
-    this.cartButton = '[data-testid="cart-button"], .cart-icon, [class*="cart"]';
-    this.cartCounter = '.cart-counter, [data-testid="cart-counter"]';
-    this.navMenu = '.nav-menu, [data-testid="nav-menu"]';
-    this.tequilaLink = 'a[href="/tequila"], a[href*="tequila"]';
-    this.blogLink = 'a[href="/blog"], a[href*="blog"]';
-    this.adminLink = 'a[href="/admin"], a[href*="admin"]';
-    this.banner = '.banner, [data-testid="banner"]';
-    this.bannerTitle = '.banner h1, .banner-title';
-    this.bannerSubtitle = '.banner-subtitle, .banner p';
-    this.productGrid = '.product-grid, [data-testid="product-grid"]';
-    this.productCards = '.product-card, [data-testid="product-card"]';
-    this.productName = '.product-name, .product-title';
-    this.productPrice = '.product-price, .price';
-    this.productImage = '.product-image img';
-    this.addToCartButtons = '.add-to-cart, [data-testid="add-to-cart"]';
-    this.filterContainer = '.product-filter, [data-testid="filter"]';
-    this.categoryFilter = '.category-filter, select[name="category"]';
-    this.searchInput = '.search-input, input[type="search"], input[placeholder*="buscar"]';
-    this.searchButton = '.search-button, [data-testid="search-btn"]';
-    this.sortSelect = '.sort-select, select[name="sort"]';
-    this.brandsSection = '.brands-section, [data-testid="brands"]';
-    this.brandLogos = '.brand-logo, .brands-section img';
-    this.blogSection = '.blog-section, [data-testid="blog-section"]';
-    this.blogPosts = '.blog-post, .blog-card';
-    this.blogTitles = '.blog-title, .blog-post h3';
-    this.footer = 'footer, .footer';
-    this.footerLinks = 'footer a, .footer a';
-    this.socialLinks = '.social-links a, [data-testid="social-link"]';
-    this.whatsappButton = '.whatsapp-float, [data-testid="whatsapp"], .floating-whatsapp';
-    this.cartModal = '.cart-modal, [data-testid="cart-modal"]';
-    this.cartItems = '.cart-item, [data-testid="cart-item"]';
-    this.cartTotal = '.cart-total, [data-testid="cart-total"]';
-    this.checkoutButton = '.checkout-btn, [data-testid="checkout"]';
-    this.cartCloseButton = '.cart-close, [data-testid="cart-close"]';
-    this.removeItemButton = '.remove-item, [data-testid="remove-item"]';
-    this.quantityInput = '.quantity-input, input[type="number"]';
-    this.clearCartButton = '.clear-cart, [data-testid="clear-cart"]';
+    Object.assign(this, sharedSelectors, cartSelectors, homeSelectors);
+    this.listing = new ProductListing(page, this.helpers, homeSelectors);
   }
 
   async navigateToHome() {
@@ -52,17 +18,15 @@ export class HomePage extends BasePage {
   }
 
   async clickLogo() {
-    await this.helpers.safeClick(this.logo);
+    await this.header.navigateHome();
   }
 
   async navigateToTequila() {
-    await this.helpers.safeClick(this.tequilaLink);
-    await this.helpers.waitForPageLoad();
+    await this.header.navigateToTequila();
   }
 
   async navigateToBlog() {
-    await this.helpers.safeClick(this.blogLink);
-    await this.helpers.waitForPageLoad();
+    await this.header.navigateToBlog();
   }
 
   async getProductCount() {
@@ -78,23 +42,40 @@ export class HomePage extends BasePage {
     return this.page.locator(this.productCards).filter({ hasText: name });
   }
 
+  async addProductToCart(product) {
+    const addButton = product.locator(this.addToCartButtons);
+    const count = await this.waits.forCountChange(() => this.getCartItemCount(), () => addButton.click());
+    await this.cart.recordAdd(product, { name: this.productName, price: this.productPrice });
+    return count;
+  }
+
   async addFirstProductToCart() {
-    const firstProduct = await this.getFirstProduct();
-    const addButton = firstProduct.locator(this.addToCartButtons);
-    await addButton.click();
-    await this.page.waitForTimeout(500);
+    return await this.addProductToCart(await this.getFirstProduct());
+  }
+
+  async addProductToCartByIndex(index) {
+    return await this.addProductToCart(this.page.locator(this.productCards).nth(index));
+  }
+
+  async addInStockProductsToCart(count) {
+    const products = this.page.locator(this.productCards);
+    let added = 0;
+
+    for (let i = 0; added < count; i++) {
+      if (await products.nth(i).locator(this.addToCartButtons).isEnabled()) {
+        await this.addProductToCartByIndex(i);
+        added++;
+      }
+    }
   }
 
   async addProductToCartByName(productName) {
-    const product = await this.getProductByName(productName);
-    const addButton = product.locator(this.addToCartButtons);
-    await addButton.click();
-    await this.page.waitForTimeout(500);
+    return await this.addProductToCart(await this.getProductByName(productName));
   }
 
   async getProductPrice(productElement) {
     const priceElement = productElement.locator(this.productPrice);
-    return await priceElement.textContent();
+    return parseColones(await priceElement.textContent());
   }
 
   async getProductName(productElement) {
@@ -102,83 +83,84 @@ export class HomePage extends BasePage {
     return await nameElement.textContent();
   }
 
+  async getProductCategory(productElement) {
+    const categoryElement = productElement.locator(this.productCategory);
+    if (await categoryElement.count() === 0) {
+      return null;
+    }
+    return (await categoryElement.textContent()).trim();
+  }
+
+  async getOriginalPrice(productElement) {
+    const originalPrice = productElement.locator(this.originalPrice);
+    if (await originalPrice.count() === 0) {
+      return null;
+    }
+    return parseColones(await originalPrice.textContent());
+  }
+
+  async isInStock(productElement) {
+    const stockElement = productElement.locator(this.productStock);
+    if (await stockElement.isVisible()) {
+      const status = await stockElement.textContent();
+      return !status.toLowerCase().includes('agotado');
+    }
+    return true;
+  }
+
   async searchProducts(searchTerm) {
     await this.helpers.safeFill(this.searchInput, searchTerm);
     
-    if (await this.helpers.elementExists(this.searchButton)) {
-      await this.helpers.safeClick(this.searchButton);
-    } else {
-      await this.page.locator(this.searchInput).press('Enter');
-    }
-    
-    await this.helpers.waitForPageLoad();
+    await this.waits.forDomToSettle(this.productGrid, async () => {
+      if (await this.helpers.elementExists(this.searchButton)) {
+        await this.helpers.safeClick(this.searchButton);
+      } else {
+        await this.page.locator(this.searchInput).press('Enter');
+      }
+    });
   }
 
   async filterByCategory(category) {
     const categorySelect = this.page.locator(this.categoryFilter);
     if (await categorySelect.isVisible()) {
-      await categorySelect.selectOption(category);
-      await this.helpers.waitForPageLoad();
+      await this.waits.forDomToSettle(this.productGrid, () => categorySelect.selectOption(category));
     }
   }
 
   async sortProducts(sortOption) {
-    const sortSelect = this.page.locator(this.sortSelect);
-    if (await sortSelect.isVisible()) {
-      await sortSelect.selectOption(sortOption);
-      await this.helpers.waitForPageLoad();
-    }
+    await this.listing.sortProducts(sortOption);
   }
 
   async openCart() {
-    await this.helpers.safeClick(this.cartButton);
-    await this.helpers.waitForElement(this.cartModal);
+    await this.cart.open();
   }
 
   async closeCart() {
-    await this.helpers.safeClick(this.cartCloseButton);
-    await this.helpers.waitForElementToDisappear(this.cartModal);
+    await this.cart.close();
   }
 
   async getCartItemCount() {
-    const counter = this.page.locator(this.cartCounter);
-    if (await counter.isVisible()) {
-      const text = await counter.textContent();
-      return parseInt(text) || 0;
-    }
-    return 0;
+    return await this.cart.getItemCount();
   }
 
   async getCartTotal() {
-    const total = this.page.locator(this.cartTotal);
-    return await total.textContent();
+    return await this.cart.getTotal();
   }
 
   async removeFirstCartItem() {
-    await this.openCart();
-    const removeButton = this.page.locator(this.removeItemButton).first();
-    await removeButton.click();
-    await this.page.waitForTimeout(300);
+    return await this.cart.removeFirstItem();
   }
 
   async clearCart() {
-    await this.openCart();
-    const clearButton = this.page.locator(this.clearCartButton);
-    if (await clearButton.isVisible()) {
-      await clearButton.click();
-      await this.page.waitForTimeout(300);
-    }
+    await this.cart.clear();
   }
 
   async proceedToCheckout() {
-    await this.openCart();
-    await this.helpers.safeClick(this.checkoutButton);
-    await this.page.waitForTimeout(1000);
+    await this.cart.checkout();
   }
 
   async clickWhatsAppButton() {
-    await this.helpers.safeClick(this.whatsappButton);
-    await this.page.waitForTimeout(1000);
+    await this.whatsapp.click();
   }
 
   async verifyHomepageLoaded() {
@@ -213,8 +195,7 @@ export class HomePage extends BasePage {
   }
 
   async verifyNavigation() {
-    await expect(this.page.locator(this.logo)).toBeVisible();
-    await expect(this.page.locator(this.cartButton)).toBeVisible();
+    await this.header.verifyVisible();
   }
 
   async verifySearchFunctionality() {
@@ -240,7 +221,7 @@ export class HomePage extends BasePage {
   }
 
   async verifyWhatsAppIntegration() {
-    await expect(this.page.locator(this.whatsappButton)).toBeVisible();
+    await this.whatsapp.verifyVisible();
   }
 
   async verifySEO() {
@@ -0,0 +1,214 @@
+import { expect } from '@playwright/test';
+import { Component } from './Component.js';
+import { sharedSelectors, cartSelectors } from '../selectors.js';
+import { getEnvironment } from '../../config/environments.js';
+import { parseWhatsAppOrder } from '../../utils/whatsapp-order.js';
+import { ShadowCart } from '../../utils/shadow-cart.js';
+import { parseColones } from '../../utils/money.js';
+
+const exactText = text => new RegExp(`^${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`);
+
+export class CartModal extends Component {
+  constructor(page, helpers) {
+    super(page, helpers);
+
+    Object.assign(this, cartSelectors);
+    this.cartButton = sharedSelectors.cartButton;
+    this.cartCounter = sharedSelectors.cartCounter;
+    this.shadow = ShadowCart.for(page);
+  }
+
+  async isOpen() {
+    return await this.page.locator(this.cartModal).isVisible();
+  }
+
+  async open() {
+    if (await this.isOpen()) {
+      return;
+    }
+    await this.helpers.safeClick(this.cartButton);
+    await this.helpers.waitForElement(this.cartModal);
+    await this.waits.forAnimationsToFinish(this.cartModal);
+  }
+
+  async close() {
+    await this.helpers.safeClick(this.cartCloseButton);
+    await this.helpers.waitForElementToDisappear(this.cartModal);
+  }
+
+  async getItemCount() {
+    const counter = this.page.locator(this.cartCounter);
+    if (await counter.isVisible()) {
+      await this.helpers.diagnoseSelector(this.cartCounter);
+      const text = await counter.textContent();
+      return parseInt(text) || 0;
+    }
+    return 0;
+  }
+
+  async getTotal() {
+    return await this.page.locator(this.cartTotal).textContent();
+  }
+
+  getRows() {
+    return this.page.locator(this.cartModal).locator(this.cartItems);
+  }
+
+  getRow(row) {
+    if (typeof row === 'number') {
+      return this.getRows().nth(row);
+    }
+    if (typeof row === 'string') {
+      return this.getRows().filter({ has: this.page.locator(this.itemName, { hasText: exactText(row) }) });
+    }
+    return row;
+  }
+
+  async getItemName(row) {
+    return (await this.getRow(row).locator(this.itemName).textContent()).trim();
+  }
+
+  async getUnitPrice(row) {
+    return parseColones(await this.getRow(row).locator(this.itemPrice).textContent());
+  }
+
+  async getQuantity(row) {
+    return parseInt(await this.getRow(row).locator(this.quantityInput).inputValue()) || 0;
+  }
+
+  async getLineTotal(row) {
+    return parseColones(await this.getRow(row).locator(this.itemTotal).textContent());
+  }
+
+  async setQuantity(row, quantity) {
+    await this.open();
+    const name = await this.getItemName(row);
+    const input = this.getRow(row).locator(this.quantityInput);
+    await this.waits.forDomToSettle(this.cartModal, async () => {
+      await input.fill(String(quantity));
+    });
+    await this.track(shadow => shadow.setQuantity(name, quantity));
+  }
+
+  async removeItem(name) {
+    await this.open();
+    const row = this.getRow(name);
+    await this.waits.forCountChange(() => this.getItemCount(), () => row.locator(this.removeItemButton).click());
+    await expect(row).toHaveCount(0);
+    await this.track(shadow => shadow.remove(name));
+  }
+
+  async removeFirstItem() {
+    await this.open();
+    const name = await this.getItemName(0);
+    const removeButton = this.getRows().first().locator(this.removeItemButton);
+    const count = await this.waits.forCountChange(() => this.getItemCount(), () => removeButton.click());
+    await this.track(shadow => shadow.remove(name));
+    return count;
+  }
+
+  async clear() {
+    await this.open();
+    const clearButton = this.page.locator(this.clearCartButton);
+    if (await clearButton.isVisible()) {
+      await clearButton.click();
+      await this.waits.forValue(() => this.getItemCount(), 0, { message: 'cart to be empty' });
+      await this.track(shadow => shadow.clear());
+    }
+  }
+
+  async recordAdd(product, { name, price }) {
+    const line = {
+      name: (await product.locator(name).textContent()).trim(),
+      unitPrice: parseColones(await product.locator(price).textContent())
+    };
+    await this.track(shadow => shadow.add(line));
+  }
+
+  async track(update) {
+    update(this.shadow);
+    if (this.shadow.checking) {
+      await this.verifyShadow();
+    }
+  }
+
+  async verifyShadow() {
+    this.shadow.verify(await this.peekCartSnapshot());
+  }
+
+  async seedShadow() {
+    this.shadow.seed(await this.peekCartSnapshot());
+  }
+
+  async peekCartSnapshot() {
+    const wasOpen = await this.isOpen();
+    const snapshot = await this.getCartSnapshot();
+    if (!wasOpen) {
+      await this.close();
+    }
+    return snapshot;
+  }
+
+  async checkout() {
+    await this.open();
+    await this.helpers.safeClick(this.checkoutButton);
+  }
+
+  async setNote(note) {
+    await this.open();
+    await this.helpers.safeFill(this.orderNote, note);
+  }
+
+  async checkoutToWhatsApp() {
+    const cart = await this.getCartSnapshot();
+    const context = this.page.context();
+    const popupPromise = context.waitForEvent('page');
+    const requestPromise = context.waitForEvent('request', request => request.url().startsWith('https://api.whatsapp.com/'));
+    await this.checkout();
+    const [popup, request] = await Promise.all([popupPromise, requestPromise]);
+
+    return { cart, popup, order: parseWhatsAppOrder(request.url()) };
+  }
+
+  async getCartSnapshot() {
+    await this.open();
+    const rows = await this.getRows().all();
+    const items = [];
+
+    for (const row of rows) {
+      items.push({
+        name: await this.getItemName(row),
+        unitPrice: await this.getUnitPrice(row),
+        quantity: await this.getQuantity(row),
+        lineTotal: await this.getLineTotal(row)
+      });
+    }
+
+    return {
+      items,
+      itemCount: await this.getItemCount(),
+      total: parseColones(await this.getTotal())
+    };
+  }
+
+  async verifyCheckoutOrder({ note = null, phone = getEnvironment().whatsappPhone } = {}) {
+    if (note !== null) {
+      await this.setNote(note);
+    }
+
+    const { cart, popup, order } = await this.checkoutToWhatsApp();
+    await popup.close();
+
+    expect(order.phone).toBe(phone);
+    expect(order.items, 'WhatsApp line items match the cart').toEqual(cart.items);
+    expect(order.total, 'WhatsApp total matches the cart').toBe(cart.total);
+    expect(order.items.reduce((sum, item) => sum + item.quantity, 0)).toBe(cart.itemCount);
+    for (const item of order.items) {
+      expect(item.lineTotal, `line total of ${item.name}`).toBe(item.unitPrice * item.quantity);
+    }
+    expect(order.total).toBe(order.items.reduce((sum, item) => sum + item.lineTotal, 0));
+    expect(order.note).toBe(note);
+
+    return order;
+  }
+}
@@ -0,0 +1,34 @@
+import { expect } from '@playwright/test';
+
+export class Component {
+  constructor(page, helpers) {
+    this.page = page;
+    this.helpers = helpers;
+    this.waits = helpers.waits;
+  }
+
+  async readLinks(selector) {
+    return await this.page.locator(selector).evaluateAll(links => links.map(link => ({
+      text: link.textContent.trim(),
+      href: link.getAttribute('href'),
+      target: link.getAttribute('target'),
+      rel: link.getAttribute('rel')
+    })));
+  }
+
+  async verifyConsistentAcross(routes) {
+    const snapshots = [];
+
+    for (const route of routes) {
+      await this.page.goto(route);
+      snapshots.push({ route, links: await this.getLinks() });
+    }
+
+    const [first, ...rest] = snapshots;
+    for (const snapshot of rest) {
+      expect(snapshot.links, `${this.constructor.name} links on ${snapshot.route} should match ${first.route}`).toEqual(first.links);
+    }
+
+    return first.links;
+  }
+}
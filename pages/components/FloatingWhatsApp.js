@@ -0,0 +1,50 @@
+import { expect } from '@playwright/test';
+import { Component } from './Component.js';
+import { sharedSelectors } from '../selectors.js';
+import { getEnvironment } from '../../config/environments.js';
+
+export class FloatingWhatsApp extends Component {
+  constructor(page, helpers) {
+    super(page, helpers);
+
+    this.whatsappButton = sharedSelectors.whatsappButton;
+  }
+
+  async getLinks() {
+    return await this.readLinks(this.whatsappButton);
+  }
+
+  async getURL() {
+    return new URL(await this.page.locator(this.whatsappButton).getAttribute('href'));
+  }
+
+  async getPhone() {
+    return (await this.getURL()).searchParams.get('phone');
+  }
+
+  async getMessage() {
+    return (await this.getURL()).searchParams.get('text');
+  }
+
+  async click() {
+    await this.helpers.safeClick(this.whatsappButton);
+  }
+
+  async open() {
+    const popupPromise = this.page.context().waitForEvent('page');
+    await this.click();
+    return await popupPromise;
+  }
+
+  async verifyVisible() {
+    await expect(this.page.locator(this.whatsappButton)).toBeVisible();
+  }
+
+  async verifyLinkTargets(phone = getEnvironment().whatsappPhone) {
+    const url = await this.getURL();
+    expect(url.host).toBe('api.whatsapp.com');
+    expect(url.searchParams.get('phone')).toBe(phone);
+    expect(url.searchParams.get('text')).toBeTruthy();
+    await expect(this.page.locator(this.whatsappButton)).toHaveAttribute('target', '_blank');
+  }
+}
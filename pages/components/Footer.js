@@ -0,0 +1,45 @@
+import { expect } from '@playwright/test';
+import { Component } from './Component.js';
+import { sharedSelectors } from '../selectors.js';
+
+export class Footer extends Component {
+  constructor(page, helpers) {
+    super(page, helpers);
+
+    Object.assign(this, sharedSelectors);
+  }
+
+  async getLinks() {
+    return await this.readLinks(this.footerLinks);
+  }
+
+  async getSocialLinks() {
+    return await this.readLinks(this.socialLinks);
+  }
+
+  async followLink(text) {
+    const link = this.page.locator(this.footer).getByRole('link', { name: text, exact: true });
+    await this.helpers.safeClick(link);
+    await this.helpers.waitForPageLoad();
+  }
+
+  async verifyVisible() {
+    await this.helpers.scrollIntoView(this.footer);
+    await expect(this.page.locator(this.footer)).toBeVisible();
+  }
+
+  async verifyLinkTargets() {
+    for (const link of await this.getLinks()) {
+      expect(link.href, `footer link "${link.text}" should have a target`).toBeTruthy();
+      expect(link.href, `footer link "${link.text}"`).not.toBe('#');
+    }
+
+    const socialLinks = await this.getSocialLinks();
+    expect(socialLinks.length).toBeGreaterThan(0);
+    for (const link of socialLinks) {
+      expect(link.href, `social link "${link.text}"`).toMatch(/^https:\/\//);
+      expect(link.target, `social link "${link.text}"`).toBe('_blank');
+      expect(link.rel, `social link "${link.text}"`).toContain('noopener');
+    }
+  }
+}
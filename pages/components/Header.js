@@ -0,0 +1,61 @@
+import { expect } from '@playwright/test';
+import { Component } from './Component.js';
+import { sharedSelectors } from '../selectors.js';
+
+const navTargets = {
+  tequilaLink: '/tequila',
+  blogLink: '/blog',
+  adminLink: '/admin'
+};
+
+export class Header extends Component {
+  constructor(page, helpers) {
+    super(page, helpers);
+
+    Object.assign(this, sharedSelectors);
+  }
+
+  navLink(selector) {
+    return this.page.locator(this.navMenu).locator(selector);
+  }
+
+  async followLink(link, expectedPath) {
+    await this.helpers.safeClick(link);
+    await this.page.waitForURL(url => url.pathname === expectedPath);
+    await this.helpers.waitForPageLoad();
+  }
+
+  async navigateHome() {
+    await this.followLink(this.homeLink, '/');
+  }
+
+  async navigateToTequila() {
+    await this.followLink(this.navLink(this.tequilaLink), navTargets.tequilaLink);
+  }
+
+  async navigateToBlog() {
+    await this.followLink(this.navLink(this.blogLink), navTargets.blogLink);
+  }
+
+  async navigateToAdmin() {
+    await this.followLink(this.navLink(this.adminLink), navTargets.adminLink);
+  }
+
+  async getLinks() {
+    return await this.readLinks(this.navLinks);
+  }
+
+  async verifyVisible() {
+    await expect(this.page.locator(this.header)).toBeVisible();
+    await expect(this.page.locator(this.logo)).toBeVisible();
+    await expect(this.page.locator(this.navMenu)).toBeVisible();
+    await expect(this.page.locator(this.cartButton)).toBeVisible();
+  }
+
+  async verifyLinkTargets() {
+    await expect(this.page.locator(this.homeLink)).toHaveAttribute('href', '/');
+    for (const [link, target] of Object.entries(navTargets)) {
+      await expect(this.navLink(this[link])).toHaveAttribute('href', target);
+    }
+  }
+}
@@ -0,0 +1,103 @@
+import { test, expect } from '@playwright/test';
+import { Component } from './Component.js';
+import { parseColones } from '../../utils/money.js';
+import { findSortViolations, formatSortViolations, getSortRule, hasSortRule, isSortVerifiable } from '../../utils/sort-verifier.js';
+
+const listingSelectors = ['productGrid', 'productCards', 'productName', 'productPrice', 'sortSelect', 'loadMoreBtn', 'pagination'];
+
+export class ProductListing extends Component {
+  constructor(page, helpers, selectors) {
+    super(page, helpers);
+
+    for (const key of listingSelectors) {
+      this[key] = selectors[key];
+    }
+  }
+
+  async loadAllProducts() {
+    const loadMoreBtn = this.page.locator(this.loadMoreBtn);
+    while (await loadMoreBtn.isVisible()) {
+      await this.waits.forDomToSettle(this.productGrid, () => loadMoreBtn.click());
+    }
+  }
+
+  async goToNextPage() {
+    const nextLink = this.page.locator(this.pagination).locator('[rel="next"]');
+    if (!(await nextLink.isVisible())) {
+      return false;
+    }
+
+    const target = new URL(await nextLink.getAttribute('href'), this.page.url());
+    await nextLink.click();
+    await this.page.waitForURL(url => url.href === target.href);
+    await this.helpers.waitForPageLoad();
+    await this.page.waitForLoadState('networkidle');
+    return true;
+  }
+
+  async forEachCard(visit) {
+    do {
+      await this.loadAllProducts();
+      for (const card of await this.page.locator(this.productCards).all()) {
+        await visit(card);
+      }
+    } while (await this.goToNextPage());
+  }
+
+  async sortProducts(sortOption) {
+    const sortSelect = this.page.locator(this.sortSelect);
+    if (await sortSelect.isVisible()) {
+      await this.waits.forDomToSettle(this.productGrid, () => sortSelect.selectOption(sortOption));
+    }
+  }
+
+  async getSortOptions() {
+    return await this.page.locator(this.sortSelect).locator('option').evaluateAll(options =>
+      options.map(option => ({ value: option.value, label: option.textContent.trim() })));
+  }
+
+  async getListedProducts() {
+    const firstPage = this.page.url();
+    const products = [];
+
+    await this.forEachCard(async card => {
+      products.push({
+        name: (await card.locator(this.productName).textContent()).trim(),
+        price: parseColones(await card.locator(this.productPrice).textContent()),
+        addedAt: await card.getAttribute('data-added-at')
+      });
+    });
+
+    // Later sorts start from the first page, as a shopper would.
+    if (this.page.url() !== firstPage) {
+      await this.page.goto(firstPage);
+      await this.helpers.waitForPageLoad();
+    }
+    return products;
+  }
+
+  unverifiedSort(option, reason) {
+    const description = `"${option}" order not checked: ${reason}`;
+    console.warn(`⚠️  ${description}`);
+    test.info().annotations.push({ type: 'unverified-sort', description });
+  }
+
+  async verifySortOrder(option) {
+    await expect(this.page.locator(this.sortSelect), `sort select to apply "${option}"`).toBeVisible();
+    await this.sortProducts(option);
+
+    const products = await this.getListedProducts();
+    if (!hasSortRule(option)) {
+      this.unverifiedSort(option, 'no rule for it in utils/sort-verifier.js');
+      return products;
+    }
+    if (!isSortVerifiable(option, products)) {
+      this.unverifiedSort(option, `no product card exposes ${getSortRule(option).field}`);
+      return products;
+    }
+
+    const violations = findSortViolations(option, products);
+    expect(violations, formatSortViolations(option, violations)).toEqual([]);
+    return products;
+  }
+}
@@ -0,0 +1,184 @@
+import { defineSelectors } from '../utils/selector-registry.js';
+
+export const sharedSelectors = defineSelectors('shared', {
+  header: ['#unified-header'],
+  logo: ['img[alt*="Galería Mexicana"]'],
+  homeLink: ['.home-link', 'a[href="/"]:has(img)'],
+  navMenu: ['.nav-menu', '[data-testid="nav-menu"]'],
+  navLinks: ['.nav-menu a', '[data-testid="nav-menu"] a'],
+  tequilaLink: ['a[href="/tequila"]', 'a[href*="tequila"]'],
+  blogLink: ['a[href="/blog"]', 'a[href*="blog"]'],
+  adminLink: ['a[href="/admin"]', 'a[href*="admin"]'],
+  cartButton: ['[data-testid="cart-button"]', '.cart-icon', '[class*="cart"]'],
+  cartCounter: ['.cart-counter', '[data-testid="cart-counter"]'],
+  footer: ['footer', '.footer'],
+  footerLinks: ['footer a', '.footer a'],
+  socialLinks: ['.social-links a', '[data-testid="social-link"]'],
+  whatsappButton: ['.whatsapp-float', '[data-testid="whatsapp"]', '.floating-whatsapp']
+}, {
+  unique: ['header', 'logo', 'homeLink', 'navMenu', 'tequilaLink', 'adminLink',
+    'cartButton', 'cartCounter', 'footer', 'whatsappButton']
+});
+
+export const cartSelectors = defineSelectors('cart', {
+  cartModal: ['.cart-modal', '[data-testid="cart-modal"]'],
+  cartItems: ['.cart-item', '[data-testid="cart-item"]'],
+  cartTotal: ['.cart-total', '[data-testid="cart-total"]'],
+  checkoutButton: ['.checkout-btn', '[data-testid="checkout"]'],
+  cartCloseButton: ['.cart-close', '[data-testid="cart-close"]'],
+  removeItemButton: ['.remove-item', '[data-testid="remove-item"]'],
+  quantityInput: ['.quantity-input', 'input[type="number"]'],
+  itemName: ['.item-name', '.product-name'],
+  itemPrice: ['.item-price', '.price'],
+  itemTotal: ['.item-total', '.line-total'],
+  clearCartButton: ['.clear-cart', '[data-testid="clear-cart"]'],
+  orderNote: ['textarea[name="note"]', '[data-testid="order-note"]']
+}, {
+  unique: ['cartModal', 'cartTotal', 'checkoutButton', 'cartCloseButton', 'clearCartButton', 'orderNote']
+});
+
+export const homeSelectors = defineSelectors('home', {
+  banner: ['.banner', '[data-testid="banner"]'],
+  bannerTitle: ['.banner h1', '.banner-title'],
+  bannerSubtitle: ['.banner-subtitle', '.banner p'],
+  productGrid: ['.product-grid', '[data-testid="product-grid"]'],
+  productCards: ['.product-card', '[data-testid="product-card"]'],
+  productName: ['.product-name', '.product-title'],
+  productCategory: ['.product-category', '.category-label'],
+  productPrice: ['.product-price', '.price'],
+  originalPrice: ['.original-price', '.price-before'],
+  productImage: ['.product-image img'],
+  productStock: ['.stock-status', '.product-stock'],
+  addToCartButtons: ['.add-to-cart', '[data-testid="add-to-cart"]'],
+  filterContainer: ['.product-filter', '[data-testid="filter"]'],
+  categoryFilter: ['.category-filter', 'select[name="category"]'],
+  searchInput: ['.search-input', 'input[type="search"]', 'input[placeholder*="buscar"]'],
+  searchButton: ['.search-button', '[data-testid="search-btn"]'],
+  sortSelect: ['.sort-select', 'select[name="sort"]'],
+  loadMoreBtn: ['.load-more', '.show-more', '[data-testid="load-more"]'],
+  pagination: ['.pagination', '.page-numbers'],
+  brandsSection: ['.brands-section', '[data-testid="brands"]'],
+  brandLogos: ['.brand-logo', '.brands-section img'],
+  blogSection: ['.blog-section', '[data-testid="blog-section"]'],
+  blogPosts: ['.blog-post', '.blog-card'],
+  blogTitles: ['.blog-title', '.blog-post h3']
+}, {
+  unique: ['banner', 'bannerTitle', 'bannerSubtitle',
+    'productGrid', 'filterContainer', 'categoryFilter', 'searchInput', 'searchButton',
+    'sortSelect', 'loadMoreBtn', 'pagination', 'brandsSection', 'blogSection']
+});
+
+export const categorySelectors = defineSelectors('category', {
+  pageTitle: ['h1', '.page-title'],
+  categoryTabs: ['.category-tab', '.filter-tab'],
+  allCategoryTab: ['[data-category="todos"]', '.category-tab[data-filter="all"]'],
+  originalPrice: ['.original-price', '.price-before'],
+  alcoholContent: ['.alcohol-content', '.alcohol-percentage'],
+  ageInfo: ['.age-info', '.aging-info'],
+  stockStatus: ['.stock-status', '.availability'],
+  addToCartBtn: ['.add-to-cart-btn', '.add-to-cart', '[data-testid="add-to-cart"]'],
+  modalClose: ['.modal-close', '.close-modal', '[data-testid="close-modal"]'],
+  modalImage: ['.modal-image img'],
+  modalDetails: ['.modal-details', '.product-details'],
+  quickViewBtn: ['.quick-view', '.view-details', '[data-testid="quick-view"]'],
+  sortSelect: ['.sort-select', 'select[name="sort"]'],
+  priceFilter: ['.price-filter', '.price-range'],
+  brandFilter: ['.brand-filter', 'select[name="brand"]'],
+  searchBox: ['.search-box', 'input[type="search"]'],
+  discountBadge: ['.discount-badge', '.sale-badge', '.discount-tag'],
+  newBadge: ['.new-badge', '.new-product', '.nuevo'],
+  premiumBadge: ['.premium-badge', '.premium-tag'],
+  loadMoreBtn: ['.load-more', '.show-more', '[data-testid="load-more"]'],
+  pagination: ['.pagination', '.page-numbers']
+}, {
+  unique: ['pageTitle', 'allCategoryTab', 'modalClose', 'modalImage', 'modalDetails', 'sortSelect',
+    'priceFilter', 'brandFilter', 'searchBox', 'loadMoreBtn', 'pagination']
+});
+
+export function categoryLineSelectors({ line, plural }) {
+  return defineSelectors(line, {
+    pageDescription: ['.page-description', `.${line}-intro`],
+    filterContainer: ['.filter-container', `.${line}-filters`],
+    productGrid: [`.${line}-grid`, '.products-grid', `.${line}-products`],
+    productCards: [`.${line}-card`, '.product-card', `.${line}-item`],
+    productName: [`.${line}-name`, '.product-name', 'h3'],
+    productBrand: [`.${line}-brand`, '.brand-name'],
+    productType: [`.${line}-type`, '.product-type'],
+    productPrice: [`.${line}-price`, '.price', '.product-price'],
+    productImage: [`.${line}-image img`, '.product-image img'],
+    productDescription: [`.${line}-description`, '.product-description'],
+    origin: ['.origin', `.${line}-origin`],
+    productModal: ['.product-modal', `.${line}-modal`, '.product-overlay'],
+    featuredSection: [`.featured-${plural}`, '.destacados'],
+    featuredProducts: ['.featured-product', '.producto-destacado']
+  }, {
+    unique: ['pageDescription', 'filterContainer', 'productGrid', 'productModal', 'featuredSection']
+  });
+}
+
+export const blogSelectors = defineSelectors('blog', {
+  pageTitle: ['.page-title', '.blog-page > h1'],
+  pageDescription: ['.blog-page .page-description', '.blog-intro'],
+  postList: ['.blog-list', '.blog-posts'],
+  postCards: ['.blog-post', '.blog-card'],
+  postTitles: ['.blog-title', '.blog-post h2'],
+  postLinks: ['.blog-title a', '.blog-post h2 a'],
+  postDates: ['.blog-date', '.blog-post time'],
+  postAuthors: ['.blog-author', '.post-author'],
+  postExcerpts: ['.blog-excerpt', '.post-excerpt'],
+  readMoreLinks: ['.read-more', '.blog-post .more-link'],
+  pagination: ['[aria-label="Paginación del blog"]', '.blog-page .pagination'],
+  pageLinks: ['.pagination .page-link', '.blog-page .pagination a'],
+  currentPageLink: ['.pagination [aria-current="page"]', '.page-link.active'],
+  nextPageLink: ['.pagination [rel="next"]', '.page-link.next'],
+  prevPageLink: ['.pagination [rel="prev"]', '.page-link.prev'],
+  article: ['.blog-article', 'article.post'],
+  articleTitle: ['.article-title', '.blog-article h1'],
+  articleDate: ['.article-date', '.blog-article time'],
+  articleAuthor: ['.article-author', '.post-author-name'],
+  articleCover: ['.article-cover', '.blog-article img'],
+  articleBody: ['.article-body', '.post-content'],
+  backLink: ['.back-link', '.blog-article a[href="/blog"]'],
+  shareLinks: ['.share-link', '.share-links a'],
+  relatedSection: ['.related-products', '.related-section'],
+  relatedProducts: ['.related-product', '.related-item'],
+  relatedName: ['.related-name', '.related-product h3'],
+  relatedPrice: ['.related-price', '.related-product .price'],
+  relatedAddToCart: ['.related-product [data-testid="add-to-cart"]', '.related-product .add-to-cart']
+}, {
+  unique: ['pageTitle', 'pageDescription', 'postList', 'pagination', 'currentPageLink', 'nextPageLink',
+    'prevPageLink', 'article', 'articleTitle', 'articleDate', 'articleAuthor', 'articleCover', 'articleBody',
+    'backLink', 'relatedSection']
+});
+
+export const adminSelectors = defineSelectors('admin', {
+  pageTitle: ['.admin-page h1', '.admin-title'],
+  loginForm: ['.admin-login', '[data-testid="admin-login"]'],
+  emailInput: ['input[name="email"]', 'input[type="email"]'],
+  passwordInput: ['input[name="password"]', 'input[type="password"]'],
+  submitButton: ['.admin-login button[type="submit"]', '.admin-login input[type="submit"]'],
+  notice: ['.admin-notice', '[role="status"]'],
+  errors: ['.admin-errors li', '[role="alert"] li'],
+  logoutButton: ['.admin-logout button', '[data-testid="logout"]'],
+  productTable: ['.admin-products', '[data-testid="admin-products"]'],
+  productRows: ['.admin-product-row', '.admin-products tbody tr'],
+  rowName: ['.admin-product-name', 'td:nth-child(1)'],
+  rowLine: ['.admin-product-line', 'td:nth-child(2)'],
+  rowPrice: ['.admin-product-price', 'td:nth-child(3)'],
+  rowStock: ['.admin-product-stock', 'td:nth-child(4)'],
+  editLink: ['.edit-product', 'a[href^="/admin/products/"]'],
+  newProductButton: ['a[href="/admin/products/new"]', '[data-testid="new-product"]'],
+  productForm: ['.admin-product-form', '[data-testid="product-form"]'],
+  nameInput: ['.admin-product-form input[name="name"]'],
+  brandInput: ['.admin-product-form input[name="brand"]'],
+  lineSelect: ['.admin-product-form select[name="line"]'],
+  typeInput: ['.admin-product-form input[name="type"]'],
+  priceInput: ['.admin-product-form input[name="price"]'],
+  descriptionInput: ['.admin-product-form textarea[name="description"]'],
+  inStockCheckbox: ['.admin-product-form input[name="inStock"]'],
+  saveButton: ['.admin-product-form button[type="submit"]', '[data-testid="save-product"]']
+}, {
+  unique: ['pageTitle', 'loginForm', 'emailInput', 'passwordInput', 'submitButton', 'notice', 'logoutButton',
+    'productTable', 'newProductButton', 'productForm', 'nameInput', 'brandInput', 'lineSelect', 'typeInput',
+    'priceInput', 'descriptionInput', 'inStockCheckbox', 'saveButton']
+});
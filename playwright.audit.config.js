@@ -0,0 +1,22 @@
+import { defineConfig } from '@playwright/test';
+import baseConfig from './playwright.config.js';
+
+export default defineConfig({
+  ...baseConfig,
+  testDir: './audit',
+  testMatch: ['**/*.audit.js'],
+  testIgnore: [],
+
+  projects: baseConfig.projects
+    .filter(project => project.name === 'chromium')
+    .map(({ dependencies, ...project }) => project),
+
+  retries: 0,
+
+  reporter: [['list']],
+
+  outputDir: 'test-results/selector-audit/',
+
+  globalSetup: undefined,
+  globalTeardown: undefined,
+});
@@ -1,8 +1,62 @@
 import { defineConfig, devices } from '@playwright/test';
+import { getEnvironment } from './config/environments.js';
+import { getShard, shardName } from './utils/shard.js';
+
+const environment = getEnvironment();
+const shard = getShard();
+
+const escapeTag = tag => tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Tags are whole words in the grep text: '@touch' must not match '@touchscreen'.
+const tagPattern = tags => tags.length > 0 ? new RegExp(`(?<=^|\\s)(?:${tags.map(escapeTag).join('|')})(?=\\s|$)`) : undefined;
+
+const browserTags = {
+  chromium: '@chromium',
+  firefox: '@firefox',
+  webkit: '@webkit'
+};
+
+const chromiumLaunchOptions = {
+  args: ['--disable-web-security', '--disable-features=VizDisplayCompositor']
+};
+
+function routedProject({ name, use, excludedTags = [], ...overrides }) {
+  const browser = use.defaultBrowserType;
+  const routedOut = Object.entries(browserTags)
+    .filter(([browserName]) => browserName !== browser)
+    .map(([, tag]) => tag);
+
+  if (!use.hasTouch) {
+    routedOut.push('@touch');
+  }
+
+  return {
+    name,
+    use,
+    grepInvert: tagPattern([...routedOut, ...excludedTags, ...environment.excludedTags]),
+    ...overrides
+  };
+}
+
+export const reporters = [
+  ['list'],
+  
+  ['json', { outputFile: 'test-results/results.json' }],
+  
+  ['./utils/run-summary-reporter.js'],
+  
+  ['html', { 
+    outputFolder: 'test-results/html-report',
+    open: !process.env.CI ? 'on-failure' : 'never'
+  }],
+  
+  ['junit', { outputFile: 'test-results/junit.xml' }],
+];
 
 export default defineConfig({
   testDir: './tests',
   testMatch: ['**/*.test.js', '**/*.spec.js'],
+  testIgnore: environment.excludedSuites.map(suite => `**/${suite}.test.js`),
   fullyParallel: true,
   
   forbidOnly: !!process.env.CI,
@@ -14,7 +68,7 @@ export default defineConfig({
   timeout: 30 * 1000,
   
   use: {
-    baseURL: process.env.BASE_URL || 'http://localhost:3000',
+    baseURL: environment.baseURL,
     
     trace: 'on-first-retry',
     video: 'retain-on-failure',
@@ -36,42 +90,59 @@ export default defineConfig({
   },
 
   projects: [
-    {
+    routedProject({
+      name: 'smoke',
+      grep: tagPattern(['@smoke']),
+      use: { ...devices['Desktop Chrome'], launchOptions: chromiumLaunchOptions },
+    }),
+    routedProject({
       name: 'chromium',
-      use: { 
-        ...devices['Desktop Chrome'],
-        channel: 'chrome',
-        launchOptions: {
-          args: ['--disable-web-security', '--disable-features=VizDisplayCompositor']
-        }
-      },
-    }
+      dependencies: ['smoke'],
+      excludedTags: ['@smoke'],
+      use: { ...devices['Desktop Chrome'], launchOptions: chromiumLaunchOptions },
+    }),
+    routedProject({
+      name: 'firefox',
+      dependencies: ['smoke'],
+      use: { ...devices['Desktop Firefox'] },
+    }),
+    routedProject({
+      name: 'webkit',
+      dependencies: ['smoke'],
+      timeout: 45 * 1000,
+      use: { ...devices['Desktop Safari'] },
+    }),
+    routedProject({
+      name: 'mobile-chrome',
+      dependencies: ['smoke'],
+      use: { ...devices['Pixel 7'], launchOptions: chromiumLaunchOptions },
+    }),
+    routedProject({
+      name: 'mobile-safari',
+      dependencies: ['smoke'],
+      timeout: 45 * 1000,
+      use: { ...devices['iPhone 14'] },
+    })
   ],
 
-  webServer: process.env.CI ? undefined : {
-    command: 'cd .. && npm run dev',
-    url: 'https://galeriamexicanacr.com/',
+  webServer: !environment.mockServer ? undefined : {
+    command: 'node mock-server/server.js',
+    url: environment.baseURL,
     reuseExistingServer: !process.env.CI,
-    timeout: 120 * 1000,
+    timeout: 30 * 1000,
     env: {
       NODE_ENV: 'test',
+      MOCK_PORT: '3000',
+      ADMIN_EMAIL: environment.admin.email,
+      ADMIN_PASSWORD: environment.admin.password,
     },
   },
 
-  reporter: [
-    ['list'],
-    
-    ['json', { outputFile: 'test-results/results.json' }],
-    
-    ['html', { 
-      outputFolder: 'test-results/html-report',
-      open: !process.env.CI ? 'on-failure' : 'never'
-    }],
-    
-    ['junit', { outputFile: 'test-results/junit.xml' }],
-  ],
+  shard,
+
+  reporter: shard ? [['list'], ['blob', { outputDir: `blob-report/${shardName(shard)}` }]] : reporters,
 
-  outputDir: 'test-results/',
+  outputDir: shard ? `test-results/${shardName(shard)}/` : 'test-results/',
   
   globalSetup: require.resolve('./global-setup.js'),
   globalTeardown: require.resolve('./global-teardown.js'),
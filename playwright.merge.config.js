@@ -0,0 +1,7 @@
+import { reporters } from './playwright.config.js';
+
+export default {
+  testDir: './tests',
+
+  reporter: reporters,
+};
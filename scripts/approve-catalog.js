@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const { environments } = require('../config/environments');
+
+const CATALOG_DIR = path.join(__dirname, '..', 'catalog');
+
+function approveCatalog(environment = process.env.TEST_ENV || 'local') {
+  if (!environments[environment]) {
+    throw new Error(`Unknown TEST_ENV "${environment}". Expected one of: ${Object.keys(environments).join(', ')}`);
+  }
+
+  const snapshot = path.join(CATALOG_DIR, `${environment}.json`);
+  const approved = path.join(CATALOG_DIR, `${environment}.approved.json`);
+  if (!fs.existsSync(snapshot)) {
+    throw new Error(`No catalog scraped for ${environment} at ${snapshot}. Run npm run catalog:snapshot or npm run catalog:drift first.`);
+  }
+
+  fs.copyFileSync(snapshot, approved);
+  console.log(`✅ Approved ${path.relative(process.cwd(), snapshot)} as ${path.relative(process.cwd(), approved)}`);
+}
+
+try {
+  approveCatalog();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
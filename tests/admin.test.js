@@ -0,0 +1,163 @@
+import { test, expect } from '../fixtures/test-fixtures.js';
+import { fromColones } from '../utils/money.js';
+
+test.describe('Admin Tests', { tag: ['@regression', '@destructive'] }, () => {
+  test.use({ startPage: 'admin' });
+  test.skip(({ environment }) => !environment.admin, 'No admin credentials for this environment');
+
+  test.describe('Authentication', () => {
+    test('should show the login form to anonymous visitors', async ({ adminPage }) => {
+      await adminPage.verifyLoginFormShown();
+    });
+
+    test('should reject invalid credentials', async ({ adminPage, environment }) => {
+      await adminPage.login({ email: environment.admin.email, password: 'contraseña-incorrecta' });
+
+      expect(await adminPage.getErrors()).toContain('Correo o contraseña incorrectos.');
+      await adminPage.verifyLoginFormShown();
+    });
+
+    test('should log in and out', { tag: '@smoke' }, async ({ adminPage }) => {
+      await test.step('Log in', async () => {
+        await adminPage.login();
+        await adminPage.verifyLoggedIn();
+      });
+
+      await test.step('Log out', async () => {
+        await adminPage.logout();
+        await adminPage.verifyLoginFormShown();
+        expect(await adminPage.getNotice()).toBe('Sesión cerrada.');
+      });
+    });
+
+    test('should send an expired session back to the login form', async ({ adminPage }) => {
+      await adminPage.login();
+      await adminPage.expireSession();
+
+      await test.step('Open a product screen with the expired session', async () => {
+        await adminPage.navigate('/admin/products/new');
+      });
+
+      await test.step('Verify redirect to login', async () => {
+        expect(new URL(adminPage.page.url()).pathname).toBe('/admin');
+        expect(await adminPage.getNotice()).toContain('expiró');
+        await adminPage.verifyLoginFormShown();
+      });
+    });
+  });
+
+  test.describe('Product Management', () => {
+    test.use({ startState: 'admin-session' });
+
+    test('should list the catalog', async ({ adminPage }) => {
+      await adminPage.verifyLoggedIn();
+
+      const products = await adminPage.getProducts();
+      expect(products.map(product => product.id)).toContain('don-julio-blanco');
+      for (const product of products) {
+        expect(product.price, `price of ${product.name}`).toBeGreaterThan(0);
+      }
+    });
+
+    test('should create a product', async ({ adminPage, dataGenerator }) => {
+      const product = dataGenerator.generateAdminProduct();
+
+      const id = await adminPage.createProduct(product);
+
+      expect(id).toBeTruthy();
+      expect(await adminPage.getNotice()).toBe('Producto guardado.');
+      await adminPage.verifyProduct(id, { name: product.name, line: product.line, price: product.price, inStock: true });
+    });
+
+    test('should reject an invalid product', async ({ adminPage, dataGenerator }) => {
+      const id = await adminPage.createProduct({ ...dataGenerator.generateAdminProduct(), price: 0 });
+
+      expect(id).toBeNull();
+      expect(await adminPage.getErrors()).toContain('El precio debe ser un número entero mayor que cero.');
+    });
+
+    test('should edit a price', async ({ adminPage }) => {
+      const { price } = await adminPage.getProduct('don-julio-blanco');
+      const newPrice = price + fromColones(1000);
+
+      await adminPage.setPrice('don-julio-blanco', newPrice);
+
+      await adminPage.verifyProduct('don-julio-blanco', { price: newPrice });
+    });
+
+    test('should mark a product out of stock and back', async ({ adminPage }) => {
+      await adminPage.markOutOfStock('don-julio-blanco');
+      await adminPage.verifyProduct('don-julio-blanco', { inStock: false });
+
+      await adminPage.markInStock('don-julio-blanco');
+      await adminPage.verifyProduct('don-julio-blanco', { inStock: true });
+    });
+  });
+
+  test.describe('Storefront Integration', () => {
+    test.use({ startState: 'admin-session' });
+
+    test('should show a new product on the homepage and tequila page', async ({ adminPage, homePage, tequilaPage, dataGenerator }) => {
+      const product = dataGenerator.generateAdminProduct();
+
+      await test.step('Create product in admin', async () => {
+        await adminPage.createProduct(product);
+      });
+
+      await test.step('Verify homepage grid', async () => {
+        await homePage.navigateToHome();
+        await homePage.searchProducts(product.name);
+
+        const card = await homePage.getProductByName(product.name);
+        await expect(card).toHaveCount(1);
+        expect(await homePage.getProductPrice(card)).toBe(product.price);
+      });
+
+      await test.step('Verify tequila page', async () => {
+        await tequilaPage.navigateToTequilaPage();
+        await tequilaPage.searchTequilas(product.name);
+
+        const card = await tequilaPage.getTequilaByName(product.name);
+        await expect(card).toHaveCount(1);
+        expect(await tequilaPage.getTequilaPrice(card)).toBe(product.price);
+      });
+    });
+
+    test('should show an edited price on the storefront', async ({ adminPage, homePage, tequilaPage }) => {
+      const { name, price } = await adminPage.getProduct('don-julio-blanco');
+      const newPrice = price + fromColones(1500);
+
+      await adminPage.setPrice('don-julio-blanco', newPrice);
+
+      await test.step('Verify homepage grid', async () => {
+        await homePage.navigateToHome();
+        expect(await homePage.getProductPrice(await homePage.getProductByName(name))).toBe(newPrice);
+      });
+
+      await test.step('Verify tequila page', async () => {
+        await tequilaPage.navigateToTequilaPage();
+        expect(await tequilaPage.getTequilaPrice(await tequilaPage.getTequilaByName(name))).toBe(newPrice);
+      });
+    });
+
+    test('should show the out of stock badge and disable add to cart', async ({ adminPage, homePage, tequilaPage }) => {
+      const { name } = await adminPage.getProduct('don-julio-blanco');
+
+      await adminPage.markOutOfStock('don-julio-blanco');
+
+      await test.step('Verify homepage grid', async () => {
+        await homePage.navigateToHome();
+        const card = await homePage.getProductByName(name);
+        await expect(card.locator(homePage.productStock)).toHaveText('Agotado');
+        await expect(card.locator(homePage.addToCartButtons)).toBeDisabled();
+      });
+
+      await test.step('Verify tequila page', async () => {
+        await tequilaPage.navigateToTequilaPage();
+        const card = await tequilaPage.getTequilaByName(name);
+        expect(await tequilaPage.isInStock(card)).toBe(false);
+        await expect(card.locator(tequilaPage.addToCartBtn)).toBeDisabled();
+      });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { test, expect } from '../fixtures/test-fixtures.js';
+
+test.describe('Blog Tests', { tag: '@regression' }, () => {
+  test.use({ startPage: 'blog' });
+
+  test.describe('Listing', () => {
+    test('should display the blog listing', { tag: '@smoke' }, async ({ blogPage }) => {
+      await test.step('Verify listing loaded', async () => {
+        await blogPage.verifyBlogListLoaded();
+      });
+
+      await test.step('Verify post summaries', async () => {
+        await blogPage.verifyPostsDisplayed();
+      });
+    });
+
+    test('should list posts newest first', async ({ blogPage }) => {
+      await blogPage.verifyPostsNewestFirst();
+    });
+
+    test('should have proper page title and structured data', async ({ blogPage }) => {
+      expect(await blogPage.getTitle()).toContain('Blog');
+      await blogPage.checkSEO();
+
+      const blog = await blogPage.getJsonLd('Blog');
+      expect(blog, 'Blog structured data').not.toBeNull();
+      expect(new URL(blog.url).pathname).toBe('/blog');
+    });
+  });
+
+  test.describe('Pagination', () => {
+    test('should move between pages with next and previous', async ({ blogPage }) => {
+      const firstPage = await blogPage.getPosts();
+      expect(await blogPage.getPageCount()).toBeGreaterThan(1);
+      expect(await blogPage.getCurrentPageNumber()).toBe(1);
+
+      await test.step('Go to next page', async () => {
+        await blogPage.nextPage();
+        expect(await blogPage.getCurrentPageNumber()).toBe(2);
+
+        const secondPage = await blogPage.getPosts();
+        expect(secondPage.length).toBeGreaterThan(0);
+        const firstSlugs = firstPage.map(post => post.slug);
+        for (const post of secondPage) {
+          expect(firstSlugs).not.toContain(post.slug);
+        }
+      });
+
+      await test.step('Go back to previous page', async () => {
+        await blogPage.previousPage();
+        expect(await blogPage.getCurrentPageNumber()).toBe(1);
+        expect(await blogPage.getPosts()).toEqual(firstPage);
+      });
+    });
+
+    test('should jump to a page by number', async ({ blogPage }) => {
+      await blogPage.goToPage(2);
+
+      expect(new URL(blogPage.page.url()).searchParams.get('page')).toBe('2');
+      expect(await blogPage.getTitle()).toContain('Página 2');
+      await blogPage.verifyPostsDisplayed();
+    });
+  });
+
+  test.describe('Listing to Article Navigation', () => {
+    test('should open an article from its title', { tag: '@smoke' }, async ({ blogPage }) => {
+      const summary = await blogPage.getPostSummary(blogPage.getPost(0));
+
+      await test.step('Open article', async () => {
+        await blogPage.openPost(0);
+      });
+
+      await test.step('Verify article matches its summary', async () => {
+        await blogPage.verifyArticleLoaded();
+        await blogPage.verifyArticleMatchesSummary(summary);
+      });
+    });
+
+    test('should open an article from "Leer más"', async ({ blogPage }) => {
+      const summary = await blogPage.getPostSummary(blogPage.getPost(1));
+
+      await blogPage.readMore(1);
+      await blogPage.verifyArticleMatchesSummary(summary);
+    });
+
+    test('should open an article listed on a later page', async ({ blogPage }) => {
+      await blogPage.nextPage();
+      const summary = await blogPage.getPostSummary(blogPage.getPost(0));
+
+      await blogPage.openPost(0);
+      await blogPage.verifyArticleMatchesSummary(summary);
+    });
+
+    test('should return to the listing from an article', async ({ blogPage }) => {
+      await blogPage.openPost(0);
+      await blogPage.backToBlog();
+
+      await blogPage.verifyBlogListLoaded();
+    });
+  });
+
+  test.describe('Article Content', () => {
+    test.beforeEach(async ({ blogPage }) => {
+      await blogPage.openPost(0);
+    });
+
+    test('should show related products that can be added to cart', async ({ blogPage, shadowCart }) => {
+      const related = await blogPage.getRelatedProducts();
+      expect(related.length).toBeGreaterThan(0);
+
+      const index = related.findIndex(product => product.inStock);
+      test.skip(index === -1, 'No related product in stock');
+
+      const count = await blogPage.addRelatedProductToCart(index);
+      expect(count).toBe(1);
+      expect(shadowCart.getExpected().items[0].name).toBe(related[index].name);
+    });
+
+    test('should share the article URL', async ({ blogPage }) => {
+      await blogPage.verifyShareLinks();
+    });
+  });
+
+  test.describe('Article SEO', () => {
+    test('should have complete SEO metadata on every article', async ({ blogPage }) => {
+      const summaries = [];
+
+      await test.step('Collect articles from every listing page', async () => {
+        const pageCount = await blogPage.getPageCount();
+        for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+          await blogPage.navigateToBlog(pageNumber);
+          summaries.push(...await blogPage.getPosts());
+        }
+        expect(summaries.length).toBeGreaterThan(0);
+      });
+
+      for (const summary of summaries) {
+        await test.step(`Verify ${summary.slug}`, async () => {
+          await blogPage.navigateToArticle(summary.slug);
+          await blogPage.verifyArticleMatchesSummary(summary);
+          await blogPage.verifyArticleSEO();
+        });
+      }
+    });
+  });
+});
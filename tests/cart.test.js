@@ -1,28 +1,18 @@
-import { test, expect } from '@playwright/test';
-import { HomePage } from '../pages/HomePage.js';
-import { TequilaPage } from '../pages/TequilaPage.js';
-import { TestDataGenerator } from '../utils/test-helpers.js';
-
-test.describe('Shopping Cart Tests', () => {
-  let homePage;
-  let tequilaPage;
-
-  test.beforeEach(async ({ page }) => {
-    homePage = new HomePage(page);
-    tequilaPage = new TequilaPage(page);
-    await homePage.navigateToHome();
-  });
+import { test, expect } from '../fixtures/test-fixtures.js';
+import { parseColones } from '../utils/money.js';
+
+test.describe('Shopping Cart Tests', { tag: ['@regression', '@destructive'] }, () => {
+  test.use({ startPage: 'home', harArchive: 'cart' });
 
   test.describe('Cart Basic Functionality', () => {
-    test('should start with empty cart', async () => {
+    test('should start with empty cart', async ({ homePage }) => {
       const cartCount = await homePage.getCartItemCount();
       expect(cartCount).toBe(0);
     });
 
-    test('should add single item to cart', async () => {
+    test('should add single item to cart', { tag: '@smoke' }, async ({ homePage }) => {
       await test.step('Add first product to cart', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
       });
 
       await test.step('Verify cart updated', async () => {
@@ -41,13 +31,12 @@ test.describe('Shopping Cart Tests', () => {
       });
     });
 
-    test('should add multiple items to cart', async () => {
+    test('should add multiple items to cart', async ({ homePage }) => {
       const itemsToAdd = 3;
       
       await test.step('Add multiple products', async () => {
         for (let i = 0; i < itemsToAdd; i++) {
           await homePage.addFirstProductToCart();
-          await homePage.page.waitForTimeout(300);
         }
       });
 
@@ -57,10 +46,10 @@ test.describe('Shopping Cart Tests', () => {
       });
     });
 
-    test('should display correct total price', async () => {
+    test('should display correct total price', { tag: '@smoke' }, async ({ homePage, shadowCart }) => {
       await test.step('Add product to cart', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
+        await homePage.addProductToCartByIndex(1);
       });
 
       await test.step('Open cart and verify total', async () => {
@@ -68,8 +57,7 @@ test.describe('Shopping Cart Tests', () => {
         
         const cartTotal = homePage.page.locator(homePage.cartTotal);
         if (await cartTotal.isVisible()) {
-          const totalText = await cartTotal.textContent();
-          expect(totalText).toMatch(/₡[\d,]+/);
+          expect(parseColones(await cartTotal.textContent())).toBe(shadowCart.getExpected().total);
         }
         
         await homePage.closeCart();
@@ -78,12 +66,10 @@ test.describe('Shopping Cart Tests', () => {
   });
 
   test.describe('Cart Item Management', () => {
-    test('should remove individual items from cart', async () => {
+    test('should remove individual items from cart', async ({ homePage }) => {
       await test.step('Add items to cart', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(300);
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(300);
       });
 
       await test.step('Remove one item', async () => {
@@ -95,10 +81,9 @@ test.describe('Shopping Cart Tests', () => {
       });
     });
 
-    test('should update item quantities', async () => {
+    test('should update item quantities', async ({ homePage }) => {
       await test.step('Add item to cart', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
       });
 
       await test.step('Open cart and update quantity', async () => {
@@ -107,24 +92,20 @@ test.describe('Shopping Cart Tests', () => {
         const quantityInput = homePage.page.locator(homePage.quantityInput).first();
         if (await quantityInput.isVisible()) {
           await quantityInput.clear();
-          await quantityInput.fill('2');
-          await homePage.page.waitForTimeout(500);
-          
+          const cartCount = await homePage.waits.forCountChange(() => homePage.getCartItemCount(), () => quantityInput.fill('2'));
           
-          const updatedValue = await quantityInput.inputValue();
-          expect(updatedValue).toBe('2');
+          expect(cartCount).toBe(2);
+          expect(await quantityInput.inputValue()).toBe('2');
         }
         
         await homePage.closeCart();
       });
     });
 
-    test('should clear entire cart', async () => {
+    test('should clear entire cart', async ({ homePage }) => {
       await test.step('Add multiple items', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(300);
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(300);
       });
 
       await test.step('Clear cart', async () => {
@@ -135,10 +116,9 @@ test.describe('Shopping Cart Tests', () => {
       });
     });
 
-    test('should handle zero quantity correctly', async () => {
+    test('should handle zero quantity correctly', async ({ homePage }) => {
       await test.step('Add item to cart', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
       });
 
       await test.step('Set quantity to zero', async () => {
@@ -147,12 +127,10 @@ test.describe('Shopping Cart Tests', () => {
         const quantityInput = homePage.page.locator(homePage.quantityInput).first();
         if (await quantityInput.isVisible()) {
           await quantityInput.clear();
-          await quantityInput.fill('0');
-          await homePage.page.waitForTimeout(500);
+          const cartCount = await homePage.waits.forCountChange(() => homePage.getCartItemCount(), () => quantityInput.fill('0'));
           
-          
-          const cartCount = await homePage.getCartItemCount();
-          expect(cartCount).toBeGreaterThanOrEqual(0);
+          expect(cartCount).toBe(0);
+          await expect(homePage.cart.getRows()).toHaveCount(0);
         }
         
         await homePage.closeCart();
@@ -160,11 +138,45 @@ test.describe('Shopping Cart Tests', () => {
     });
   });
 
+  test.describe('Cart Totals', () => {
+    test('should keep counter, line totals and total in step with every change', async ({ homePage, tequilaPage, cartModal, shadowCart }) => {
+      await test.step('Add products from the homepage', async () => {
+        await homePage.addInStockProductsToCart(3);
+        await homePage.addFirstProductToCart();
+      });
+
+      await test.step('Add tequilas from the tequila page', async () => {
+        await homePage.navigateToTequila();
+        await tequilaPage.addFirstTequilaToCart();
+        await tequilaPage.addTequilaToCart(tequilaPage.page.locator(tequilaPage.tequilaCards).nth(4));
+      });
+
+      await test.step('Change quantities', async () => {
+        await cartModal.setQuantity(0, 5);
+        await cartModal.setQuantity(1, 0);
+      });
+
+      await test.step('Remove and clear', async () => {
+        await cartModal.removeFirstItem();
+        await cartModal.clear();
+      });
+
+      expect(shadowCart.getExpected()).toEqual({ items: [], itemCount: 0, total: 0 });
+    });
+
+    test('should cap quantities at 99', async ({ homePage, cartModal, shadowCart }) => {
+      await homePage.addFirstProductToCart();
+      await cartModal.setQuantity(0, 150);
+
+      expect(shadowCart.getExpected().itemCount).toBe(99);
+      expect(await cartModal.getQuantity(0)).toBe(99);
+    });
+  });
+
   test.describe('Cart Persistence', () => {
-    test('should maintain cart state across page navigation', async () => {
+    test('should maintain cart state across page navigation', async ({ homePage, tequilaPage }) => {
       await test.step('Add item to cart on homepage', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
         const homeCartCount = await homePage.getCartItemCount();
         expect(homeCartCount).toBeGreaterThan(0);
       });
@@ -181,7 +193,6 @@ test.describe('Shopping Cart Tests', () => {
 
       await test.step('Add item from tequila page', async () => {
         await tequilaPage.addFirstTequilaToCart();
-        await tequilaPage.page.waitForTimeout(500);
         
         const updatedCount = await tequilaPage.getCartItemCount();
         expect(updatedCount).toBeGreaterThan(1);
@@ -198,11 +209,12 @@ test.describe('Shopping Cart Tests', () => {
       });
     });
 
-    test('should persist cart through page refresh', async () => {
+    test('should persist cart through page refresh', async ({ homePage }) => {
+      let initialCount;
+
       await test.step('Add items to cart', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
-        const initialCount = await homePage.getCartItemCount();
+        initialCount = await homePage.getCartItemCount();
         expect(initialCount).toBeGreaterThan(0);
       });
 
@@ -212,22 +224,16 @@ test.describe('Shopping Cart Tests', () => {
       });
 
       await test.step('Verify cart maintained after refresh', async () => {
-        
-        
-        await homePage.page.waitForTimeout(1000);
-        const countAfterRefresh = await homePage.getCartItemCount();
-        
-        
-        expect(countAfterRefresh).toBeGreaterThanOrEqual(0);
+        await homePage.waits.forValue(() => homePage.getCartItemCount(), initialCount, { message: 'cart count restored after refresh' });
+        expect(await homePage.getCartItemCount()).toBe(initialCount);
       });
     });
   });
 
   test.describe('Cart UI and Interactions', () => {
-    test('should open and close cart modal smoothly', async () => {
+    test('should open and close cart modal smoothly', async ({ homePage }) => {
       await test.step('Add item to enable cart', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
       });
 
       await test.step('Test cart modal open/close cycle', async () => {
@@ -237,20 +243,17 @@ test.describe('Shopping Cart Tests', () => {
           
           await homePage.closeCart();
           await expect(homePage.page.locator(homePage.cartModal)).not.toBeVisible();
-          
-          await homePage.page.waitForTimeout(200);
         }
       });
     });
 
-    test('should display cart items with correct information', async () => {
+    test('should display cart items with correct information', async ({ homePage }) => {
       await test.step('Add specific product to cart', async () => {
         const firstProduct = await homePage.getFirstProduct();
         const productName = await homePage.getProductName(firstProduct);
         const productPrice = await homePage.getProductPrice(firstProduct);
         
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
         
         
         homePage.expectedProductName = productName;
@@ -273,14 +276,14 @@ test.describe('Shopping Cart Tests', () => {
         const itemPriceElement = firstCartItem.locator('.item-price, .price');
         if (await itemPriceElement.isVisible()) {
           const cartItemPrice = await itemPriceElement.textContent();
-          expect(cartItemPrice).toMatch(/₡[\d,]+/);
+          expect(parseColones(cartItemPrice)).toBeGreaterThan(0);
         }
         
         await homePage.closeCart();
       });
     });
 
-    test('should handle cart interactions on mobile', async ({ page }) => {
+    test('should handle cart interactions on mobile', async ({ page, homePage }) => {
       await test.step('Switch to mobile viewport', async () => {
         await page.setViewportSize({ width: 375, height: 667 });
         await homePage.waitForPageLoad();
@@ -288,7 +291,6 @@ test.describe('Shopping Cart Tests', () => {
 
       await test.step('Add item to cart on mobile', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
       });
 
       await test.step('Test cart modal on mobile', async () => {
@@ -306,70 +308,67 @@ test.describe('Shopping Cart Tests', () => {
   });
 
   test.describe('Checkout Integration', () => {
-    test('should navigate to WhatsApp checkout', async ({ context }) => {
+    test('should navigate to WhatsApp checkout', async ({ context, homePage, environment }) => {
       await test.step('Add items to cart', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
       });
 
       await test.step('Initiate checkout process', async () => {
         const pagePromise = context.waitForEvent('page', { timeout: 5000 });
         
-        try {
-          await homePage.proceedToCheckout();
-          const whatsappPage = await pagePromise;
-          
-          await test.step('Verify WhatsApp integration', async () => {
-            const url = whatsappPage.url();
-            expect(url).toContain('api.whatsapp.com');
-            expect(url).toContain('50687396001');
-            expect(url).toContain('text=');
-          });
-
-          await whatsappPage.close();
-        } catch (error) {
-          console.log('WhatsApp may be blocked by popup blocker:', error.message);
-          
-        }
+        await homePage.proceedToCheckout();
+        const whatsappPage = await pagePromise;
+        
+        await test.step('Verify WhatsApp integration', async () => {
+          const url = whatsappPage.url();
+          expect(url).toContain('api.whatsapp.com');
+          expect(url).toContain(environment.whatsappPhone);
+          expect(url).toContain('text=');
+        });
+
+        await whatsappPage.close();
       });
     });
 
-    test('should include cart details in WhatsApp message', async ({ context }) => {
+    test('should include cart details in WhatsApp message', async ({ homePage, tequilaPage }) => {
       await test.step('Add specific products', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(300);
         
         
         await homePage.navigateToTequila();
         await tequilaPage.addFirstTequilaToCart();
-        await tequilaPage.page.waitForTimeout(300);
         
         
         await homePage.navigateToHome();
       });
 
       await test.step('Test checkout with multiple items', async () => {
-        const pagePromise = context.waitForEvent('page', { timeout: 5000 });
-        
-        try {
-          await homePage.proceedToCheckout();
-          const whatsappPage = await pagePromise;
-          
-          const url = whatsappPage.url();
-          const decodedUrl = decodeURIComponent(url);
-          
-          
-          expect(decodedUrl.toLowerCase()).toContain('compra');
-          expect(decodedUrl).toMatch(/₡[\d,]+/);
-          
-          await whatsappPage.close();
-        } catch (error) {
-          console.log('WhatsApp popup blocked or not triggered:', error.message);
-        }
+        const order = await homePage.cart.verifyCheckoutOrder();
+
+        expect(order.greeting.toLowerCase()).toContain('compra');
+        expect(order.items.reduce((sum, item) => sum + item.quantity, 0)).toBe(2);
+      });
+    });
+
+    test('should send the quantities and total shown in the cart', async ({ homePage, cartModal }) => {
+      await test.step('Add products and change a quantity', async () => {
+        await homePage.addInStockProductsToCart(3);
+        await cartModal.setQuantity(1, 4);
       });
+
+      await test.step('Verify the WhatsApp order matches the cart', async () => {
+        const order = await cartModal.verifyCheckoutOrder();
+        expect(order.items[1].quantity).toBe(4);
+      });
+    });
+
+    test('should include the customer note in the WhatsApp message', async ({ homePage, cartModal }) => {
+      await homePage.addFirstProductToCart();
+
+      await cartModal.verifyCheckoutOrder({ note: 'Entregar después de las 5 pm, por favor.' });
     });
 
-    test('should handle empty cart checkout gracefully', async () => {
+    test('should handle empty cart checkout gracefully', async ({ homePage }) => {
       await test.step('Ensure cart is empty', async () => {
         const cartCount = await homePage.getCartItemCount();
         if (cartCount > 0) {
@@ -389,8 +388,8 @@ test.describe('Shopping Cart Tests', () => {
             expect(isEnabled).toBe(false);
           } else {
             
-            await checkoutButton.click();
-            await homePage.page.waitForTimeout(500);
+            await homePage.waits.forDomToSettle(homePage.cartModal, () => checkoutButton.click());
+            expect(await homePage.getCartItemCount()).toBe(0);
           }
         }
         
@@ -400,18 +399,16 @@ test.describe('Shopping Cart Tests', () => {
   });
 
   test.describe('Cart Error Handling', () => {
-    test('should handle rapid cart additions', async () => {
+    test('should handle rapid cart additions', async ({ homePage }) => {
       await test.step('Rapidly add items', async () => {
         for (let i = 0; i < 5; i++) {
           await homePage.addFirstProductToCart();
-          await homePage.page.waitForTimeout(50); 
         }
       });
 
       await test.step('Verify cart state is consistent', async () => {
-        await homePage.page.waitForTimeout(1000); 
         const cartCount = await homePage.getCartItemCount();
-        expect(cartCount).toBeGreaterThan(0);
+        expect(cartCount).toBe(5);
         
         
         await homePage.openCart();
@@ -420,7 +417,7 @@ test.describe('Shopping Cart Tests', () => {
       });
     });
 
-    test('should handle cart interactions during page transitions', async () => {
+    test('should handle cart interactions during page transitions', async ({ homePage, tequilaPage }) => {
       await test.step('Add item during navigation', async () => {
         await homePage.addFirstProductToCart();
         
@@ -442,10 +439,9 @@ test.describe('Shopping Cart Tests', () => {
       });
     });
 
-    test('should handle cart with invalid quantities', async () => {
+    test('should handle cart with invalid quantities', async ({ homePage }) => {
       await test.step('Add item to cart', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
       });
 
       await test.step('Try invalid quantity values', async () => {
@@ -455,21 +451,16 @@ test.describe('Shopping Cart Tests', () => {
         if (await quantityInput.isVisible()) {
           
           await quantityInput.clear();
-          await quantityInput.fill('-1');
-          await homePage.page.waitForTimeout(300);
-          
-          
-          const negativeValue = await quantityInput.inputValue();
-          expect(parseInt(negativeValue)).toBeGreaterThanOrEqual(0);
+          await homePage.waits.forDomToSettle(homePage.cartModal, () => quantityInput.fill('-1'));
           
+          expect(parseInt(await quantityInput.inputValue())).toBe(1);
+          expect(await homePage.getCartItemCount()).toBe(1);
           
           await quantityInput.clear();
-          await quantityInput.fill('9999');
-          await homePage.page.waitForTimeout(300);
+          const cartCount = await homePage.waits.forCountChange(() => homePage.getCartItemCount(), () => quantityInput.fill('9999'));
           
-          
-          const largeValue = await quantityInput.inputValue();
-          expect(parseInt(largeValue)).toBeGreaterThanOrEqual(0);
+          expect(cartCount).toBe(99);
+          expect(parseInt(await quantityInput.inputValue())).toBe(99);
         }
         
         await homePage.closeCart();
@@ -478,14 +469,13 @@ test.describe('Shopping Cart Tests', () => {
   });
 
   test.describe('Cart Performance', () => {
-    test('should handle large number of items efficiently', async () => {
+    test('should handle large number of items efficiently', async ({ homePage, environment }) => {
       const itemsToAdd = 10;
       const startTime = Date.now();
       
       await test.step(`Add ${itemsToAdd} items to cart`, async () => {
         for (let i = 0; i < itemsToAdd; i++) {
           await homePage.addFirstProductToCart();
-          await homePage.page.waitForTimeout(100);
         }
       });
 
@@ -500,19 +490,21 @@ test.describe('Shopping Cart Tests', () => {
         console.log(`Time to open cart with ${itemsToAdd} items: ${openTime}ms`);
         
         
-        expect(openTime).toBeLessThan(2000);
+        expect(openTime).toBeLessThan(environment.budgets.cartOpenUnderLoad);
         
         await expect(homePage.page.locator(homePage.cartModal)).toBeVisible();
         await homePage.closeCart();
       });
     });
+  });
 
-    test('should maintain responsive UI with many items', async () => {
-      await test.step('Add multiple items', async () => {
-        for (let i = 0; i < 7; i++) {
-          await homePage.addFirstProductToCart();
-          await homePage.page.waitForTimeout(100);
-        }
+  test.describe('Cart Performance With Seeded Cart', () => {
+    test.use({ startState: 'mixed-cart' });
+
+    test('should maintain responsive UI with many items', async ({ homePage }) => {
+      await test.step('Verify seeded items', async () => {
+        const cartCount = await homePage.getCartItemCount();
+        expect(cartCount).toBe(10);
       });
 
       await test.step('Test cart UI responsiveness', async () => {
@@ -527,11 +519,55 @@ test.describe('Shopping Cart Tests', () => {
         if (await cartBody.isVisible()) {
           await cartBody.hover();
           await homePage.page.mouse.wheel(0, 100);
-          await homePage.page.waitForTimeout(200);
+          await homePage.waits.forLayout();
         }
         
         await homePage.closeCart();
       });
     });
   });
+
+  test.describe('Cart Modal From Any Page', () => {
+    test.use({ startState: 'mixed-cart' });
+
+    for (const route of ['/', '/tequila', '/blog']) {
+      test(`should expose a consistent cart snapshot on ${route}`, async ({ page, cartModal }) => {
+        await page.goto(route);
+
+        const snapshot = await cartModal.getCartSnapshot();
+
+        await test.step('Verify seeded rows', async () => {
+          expect(snapshot.items).toHaveLength(10);
+          expect(snapshot.itemCount).toBe(10);
+        });
+
+        await test.step('Verify line totals and cart total', async () => {
+          for (const item of snapshot.items) {
+            expect(item.lineTotal).toBe(item.unitPrice * item.quantity);
+          }
+          expect(snapshot.total).toBe(snapshot.items.reduce((sum, item) => sum + item.lineTotal, 0));
+        });
+      });
+
+      test(`should update and remove items on ${route}`, async ({ page, cartModal, shadowCart }) => {
+        await page.goto(route);
+        const { items: [first, second] } = await cartModal.getCartSnapshot();
+
+        await test.step('Set quantity', async () => {
+          await cartModal.setQuantity(first.name, 3);
+          expect(await cartModal.getQuantity(first.name)).toBe(3);
+          expect(await cartModal.getLineTotal(first.name)).toBe(first.unitPrice * 3);
+        });
+
+        await test.step('Remove item by name', async () => {
+          await cartModal.removeItem(second.name);
+
+          const snapshot = await cartModal.getCartSnapshot();
+          expect(snapshot.items.map(item => item.name)).not.toContain(second.name);
+          expect(snapshot.itemCount).toBe(11);
+          expect(shadowCart.getExpected().itemCount).toBe(11);
+        });
+      });
+    }
+  });
 });
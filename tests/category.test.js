@@ -0,0 +1,193 @@
+import { test, expect } from '../fixtures/test-fixtures.js';
+import { categories } from '../config/categories.js';
+
+// /tequila has its own spec, tequila.test.js, which also owns hars/tequila.har.
+const otherLines = Object.entries(categories).filter(([line]) => line !== 'tequila');
+
+for (const [line, category] of otherLines) {
+  test.describe(`${category.title} Category Tests`, { tag: '@regression' }, () => {
+    test.use({ startPage: 'category', category: line, harArchive: line });
+
+    test.describe('Page Layout and Loading', () => {
+      test('should display the category page correctly', { tag: '@smoke' }, async ({ categoryPage }) => {
+        await test.step('Verify page loaded', async () => {
+          await categoryPage.verifyPageLoaded();
+        });
+
+        await test.step('Verify products are displayed', async () => {
+          await categoryPage.verifyProductsDisplayed();
+        });
+
+        await test.step('Verify filter tabs', async () => {
+          await categoryPage.verifyFilterTabs();
+        });
+      });
+
+      test('should have proper page title and heading', async ({ categoryPage }) => {
+        const title = await categoryPage.getTitle();
+        expect(title.toLowerCase()).toContain(category.keyword);
+
+        const heading = categoryPage.page.locator(categoryPage.pageTitle);
+        await expect(heading).toBeVisible();
+        expect((await heading.textContent()).toLowerCase()).toContain(category.keyword);
+      });
+
+      test('should display products with the expected fields', async ({ categoryPage }) => {
+        await test.step('Verify product details', async () => {
+          await categoryPage.verifyProductDetails();
+        });
+
+        await test.step('Verify card fields', async () => {
+          await categoryPage.verifyProductFields();
+        });
+
+        await test.step('Verify price formatting', async () => {
+          await categoryPage.verifyPriceFormat();
+        });
+      });
+    });
+
+    test.describe('Product Filtering', () => {
+      test('should filter by "Todos" category', async ({ categoryPage }) => {
+        await categoryPage.selectAllCategories();
+        expect(await categoryPage.getProductCount()).toBeGreaterThan(0);
+      });
+
+      test(`should filter by ${category.tabs[0]}`, async ({ categoryPage }) => {
+        const [tab] = category.tabs;
+
+        await test.step('Filter by first tab', async () => {
+          await categoryPage.verifyFilterFunctionality(tab);
+        });
+
+        await test.step('Verify only matching products shown', async () => {
+          await categoryPage.verifyProductsMatchTab(tab);
+        });
+      });
+
+      test('should return to all products when switching filters', async ({ categoryPage }) => {
+        const allCount = await categoryPage.getProductCount();
+
+        for (const tab of category.tabs) {
+          await test.step(`Switch to ${tab}`, async () => {
+            await categoryPage.selectCategory(tab);
+            expect(await categoryPage.getProductCount()).toBeLessThanOrEqual(allCount);
+          });
+        }
+
+        await test.step('Return to all categories', async () => {
+          await categoryPage.selectAllCategories();
+          expect(await categoryPage.getProductCount()).toBe(allCount);
+        });
+      });
+
+      test('should filter by brand', async ({ categoryPage }) => {
+        await categoryPage.filterByBrand(category.brand);
+
+        const products = categoryPage.page.locator(categoryPage.productCards);
+        const count = await products.count();
+        expect(count).toBeGreaterThan(0);
+        for (let i = 0; i < count; i++) {
+          expect(await categoryPage.getProductBrand(products.nth(i))).toBe(category.brand);
+        }
+      });
+    });
+
+    test.describe('Product Information Display', () => {
+      test(`should display ${category.brand} products`, async ({ categoryPage }) => {
+        await categoryPage.verifyBrandProducts();
+      });
+
+      test('should display product images correctly', async ({ categoryPage }) => {
+        const products = categoryPage.page.locator(categoryPage.productCards);
+        const count = await products.count();
+
+        for (let i = 0; i < Math.min(count, 5); i++) {
+          const image = products.nth(i).locator(categoryPage.productImage);
+          await expect(image).toBeVisible();
+          await expect(image).toHaveAttribute('src');
+          await expect(image).toHaveAttribute('alt');
+        }
+      });
+
+      test('should disable add to cart for out of stock products', async ({ categoryPage }) => {
+        const products = categoryPage.page.locator(categoryPage.productCards);
+        const count = await products.count();
+
+        for (let i = 0; i < count; i++) {
+          const product = products.nth(i);
+          const addButton = product.locator(categoryPage.addToCartBtn);
+          if (await categoryPage.isInStock(product)) {
+            await expect(addButton).toBeEnabled();
+          } else {
+            await expect(addButton).toBeDisabled();
+          }
+        }
+      });
+
+      test('should show the original price next to discount badges', async ({ categoryPage }) => {
+        const products = categoryPage.page.locator(categoryPage.productCards);
+        const count = await products.count();
+
+        for (let i = 0; i < count; i++) {
+          const product = products.nth(i);
+          if (await categoryPage.hasDiscount(product)) {
+            await expect(product.locator(categoryPage.originalPrice)).toBeVisible();
+            expect(await categoryPage.getOriginalPrice(product)).toBeGreaterThan(await categoryPage.getProductPrice(product));
+          }
+        }
+      });
+    });
+
+    test.describe('Cart Integration', () => {
+      test('should add a product to cart successfully', { tag: '@smoke' }, async ({ categoryPage }) => {
+        await categoryPage.verifyCartIntegration();
+      });
+
+      test('should keep the cart when navigating home', async ({ categoryPage, homePage }) => {
+        await categoryPage.addFirstProductToCart();
+        const cartCount = await categoryPage.getCartItemCount();
+
+        await homePage.navigateToHome();
+
+        expect(await categoryPage.getCartItemCount()).toBe(cartCount);
+      });
+    });
+
+    test.describe('Product Modal/Details', () => {
+      test('should open and close product modal', async ({ categoryPage }) => {
+        await categoryPage.verifyProductModal();
+      });
+    });
+
+    test.describe('Search and Sort Functionality', () => {
+      test(`should search by "${category.brand}"`, async ({ categoryPage }) => {
+        await categoryPage.searchProducts(category.brand);
+
+        const products = categoryPage.page.locator(categoryPage.productCards);
+        const count = await products.count();
+        expect(count).toBeGreaterThan(0);
+        for (let i = 0; i < count; i++) {
+          const { name, brand } = await categoryPage.getProductInfo(products.nth(i));
+          expect(`${name} ${brand}`.toLowerCase()).toContain(category.brand.toLowerCase());
+        }
+      });
+
+      test('should sort products by price', async ({ categoryPage }) => {
+        await categoryPage.listing.verifySortOrder('price-low');
+      });
+    });
+
+    test.describe('Responsive Design', () => {
+      test('should work correctly on mobile devices', async ({ categoryPage }) => {
+        await categoryPage.verifyResponsiveDesign();
+      });
+    });
+
+    test.describe('SEO', () => {
+      test('should have proper SEO elements', async ({ categoryPage }) => {
+        await categoryPage.verifySEOElements();
+      });
+    });
+  });
+}
@@ -1,18 +1,8 @@
-import { test, expect } from '@playwright/test';
-import { HomePage } from '../pages/HomePage.js';
-import { TequilaPage } from '../pages/TequilaPage.js';
-
-test.describe('Cross-Browser Compatibility Tests', () => {
-  let homePage;
-
-  test.beforeEach(async ({ page }) => {
-    homePage = new HomePage(page);
-  });
+import { test, expect } from '../fixtures/test-fixtures.js';
 
+test.describe('Cross-Browser Compatibility Tests', { tag: '@regression' }, () => {
   test.describe('Browser-Specific Features', () => {
-    test('should work correctly in Chromium', async ({ browserName }) => {
-      test.skip(browserName !== 'chromium', 'This test is only for Chromium');
-      
+    test('should work correctly in Chromium', { tag: '@chromium' }, async ({ homePage }) => {
       await test.step('Load homepage', async () => {
         await homePage.navigateToHome();
         await homePage.verifyHomepageLoaded();
@@ -36,9 +26,7 @@ test.describe('Cross-Browser Compatibility Tests', () => {
       });
     });
 
-    test('should work correctly in Firefox', async ({ browserName }) => {
-      test.skip(browserName !== 'firefox', 'This test is only for Firefox');
-      
+    test('should work correctly in Firefox', { tag: '@firefox' }, async ({ homePage }) => {
       await test.step('Load homepage', async () => {
         await homePage.navigateToHome();
         await homePage.verifyHomepageLoaded();
@@ -62,9 +50,7 @@ test.describe('Cross-Browser Compatibility Tests', () => {
       });
     });
 
-    test('should work correctly in WebKit', async ({ browserName }) => {
-      test.skip(browserName !== 'webkit', 'This test is only for WebKit');
-      
+    test('should work correctly in WebKit', { tag: ['@webkit', '@touch'] }, async ({ homePage }) => {
       await test.step('Load homepage', async () => {
         await homePage.navigateToHome();
         await homePage.verifyHomepageLoaded();
@@ -72,7 +58,7 @@ test.describe('Cross-Browser Compatibility Tests', () => {
 
       await test.step('Test Safari-specific behavior', async () => {
         await homePage.page.locator(homePage.productCards).first().tap();
-        await homePage.page.waitForTimeout(200);
+        await homePage.waits.forLayout();
       });
 
       await test.step('Test WebKit image rendering', async () => {
@@ -88,7 +74,7 @@ test.describe('Cross-Browser Compatibility Tests', () => {
   });
 
   test.describe('CSS and Layout Consistency', () => {
-    test('should have consistent layout across browsers', async () => {
+    test('should have consistent layout across browsers', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check header layout', async () => {
@@ -115,12 +101,11 @@ test.describe('Cross-Browser Compatibility Tests', () => {
       });
     });
 
-    test('should handle CSS animations consistently', async () => {
+    test('should handle CSS animations consistently', async ({ homePage, environment }) => {
       await homePage.navigateToHome();
       
       await test.step('Test cart opening animation', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(300);
         
         const openStart = Date.now();
         await homePage.openCart();
@@ -128,7 +113,7 @@ test.describe('Cross-Browser Compatibility Tests', () => {
         
         await expect(homePage.page.locator(homePage.cartModal)).toBeVisible();
         
-        expect(openDuration).toBeLessThan(2000);
+        expect(openDuration).toBeLessThan(environment.budgets.cartOpenUnderLoad);
         
         await homePage.closeCart();
       });
@@ -136,13 +121,13 @@ test.describe('Cross-Browser Compatibility Tests', () => {
       await test.step('Test hover effects', async () => {
         const firstProduct = await homePage.getFirstProduct();
         await firstProduct.hover();
-        await homePage.page.waitForTimeout(200);
+        await homePage.waits.forLayout();
         
         await expect(firstProduct).toBeVisible();
       });
     });
 
-    test('should display fonts consistently', async () => {
+    test('should display fonts consistently', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check font rendering', async () => {
@@ -165,7 +150,7 @@ test.describe('Cross-Browser Compatibility Tests', () => {
   });
 
   test.describe('JavaScript Compatibility', () => {
-    test('should handle modern JavaScript features', async () => {
+    test('should handle modern JavaScript features', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Test ES6+ features', async () => {
@@ -207,7 +192,7 @@ test.describe('Cross-Browser Compatibility Tests', () => {
       });
     });
 
-    test('should handle localStorage consistently', async () => {
+    test('should handle localStorage consistently', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Test localStorage operations', async () => {
@@ -236,17 +221,9 @@ test.describe('Cross-Browser Compatibility Tests', () => {
   });
 });
 
-test.describe('Accessibility Tests', () => {
-  let homePage;
-  let tequilaPage;
-
-  test.beforeEach(async ({ page }) => {
-    homePage = new HomePage(page);
-    tequilaPage = new TequilaPage(page);
-  });
-
+test.describe('Accessibility Tests', { tag: ['@regression', '@a11y'] }, () => {
   test.describe('Keyboard Navigation', () => {
-    test('should support keyboard navigation on homepage', async () => {
+    test('should support keyboard navigation on homepage', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Test tab navigation', async () => {
@@ -277,16 +254,13 @@ test.describe('Accessibility Tests', () => {
         const firstAddButton = homePage.page.locator(homePage.addToCartButtons).first();
         if (await firstAddButton.isVisible()) {
           await firstAddButton.focus();
-          await homePage.page.keyboard.press('Enter');
-          
-          await homePage.page.waitForTimeout(500);
-          const cartCount = await homePage.getCartItemCount();
-          expect(cartCount).toBeGreaterThan(0);
+          const cartCount = await homePage.waits.forCountChange(() => homePage.getCartItemCount(), () => homePage.page.keyboard.press('Enter'));
+          expect(cartCount).toBe(1);
         }
       });
     });
 
-    test('should support keyboard navigation in cart modal', async () => {
+    test('should support keyboard navigation in cart modal', async ({ homePage }) => {
       await homePage.navigateToHome();
       await homePage.addFirstProductToCart();
       
@@ -316,7 +290,7 @@ test.describe('Accessibility Tests', () => {
       });
     });
 
-    test('should support keyboard navigation on tequila page', async () => {
+    test('should support keyboard navigation on tequila page', async ({ homePage, tequilaPage }) => {
       await tequilaPage.navigateToTequilaPage();
       
       await test.step('Navigate filter tabs with keyboard', async () => {
@@ -328,15 +302,14 @@ test.describe('Accessibility Tests', () => {
           await firstTab.focus();
           await expect(firstTab).toBeFocused();
           
-          await homePage.page.keyboard.press('ArrowRight');
-          await homePage.page.waitForTimeout(100);
+          await tequilaPage.waits.forDomToSettle(tequilaPage.categoryTabs, () => tequilaPage.page.keyboard.press('ArrowRight'));
         }
       });
     });
   });
 
   test.describe('Screen Reader Support', () => {
-    test('should have proper heading structure', async () => {
+    test('should have proper heading structure', { tag: '@smoke' }, async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check heading hierarchy', async () => {
@@ -358,7 +331,7 @@ test.describe('Accessibility Tests', () => {
       });
     });
 
-    test('should have proper alt text for images', async () => {
+    test('should have proper alt text for images', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check product images', async () => {
@@ -385,7 +358,7 @@ test.describe('Accessibility Tests', () => {
       });
     });
 
-    test('should have proper form labels', async () => {
+    test('should have proper form labels', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check search input', async () => {
@@ -406,7 +379,7 @@ test.describe('Accessibility Tests', () => {
       });
     });
 
-    test('should have proper ARIA attributes', async () => {
+    test('should have proper ARIA attributes', async ({ homePage }) => {
       await homePage.navigateToHome();
       await homePage.addFirstProductToCart();
       
@@ -446,7 +419,7 @@ test.describe('Accessibility Tests', () => {
   });
 
   test.describe('Color Contrast and Visual Accessibility', () => {
-    test('should have sufficient color contrast', async () => {
+    test('should have sufficient color contrast', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check text contrast', async () => {
@@ -472,7 +445,7 @@ test.describe('Accessibility Tests', () => {
       });
     });
 
-    test('should be usable without color alone', async () => {
+    test('should be usable without color alone', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check that information is not conveyed by color alone', async () => {
@@ -504,7 +477,7 @@ test.describe('Accessibility Tests', () => {
   });
 
   test.describe('Focus Management', () => {
-    test('should manage focus properly in modal dialogs', async () => {
+    test('should manage focus properly in modal dialogs', async ({ homePage }) => {
       await homePage.navigateToHome();
       await homePage.addFirstProductToCart();
       
@@ -531,7 +504,7 @@ test.describe('Accessibility Tests', () => {
       });
     });
 
-    test('should restore focus after modal closes', async () => {
+    test('should restore focus after modal closes', async ({ homePage }) => {
       await homePage.navigateToHome();
       await homePage.addFirstProductToCart();
       
@@ -559,7 +532,7 @@ test.describe('Accessibility Tests', () => {
   });
 
   test.describe('Mobile Accessibility', () => {
-    test('should be accessible on mobile devices', async ({ page }) => {
+    test('should be accessible on mobile devices', async ({ page, homePage }) => {
       await page.setViewportSize({ width: 375, height: 667 });
       await homePage.navigateToHome();
       
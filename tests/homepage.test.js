@@ -1,17 +1,11 @@
-import { test, expect } from '@playwright/test';
-import { HomePage } from '../pages/HomePage.js';
-import { TestDataGenerator } from '../utils/test-helpers.js';
+import { test, expect } from '../fixtures/test-fixtures.js';
+import { parseColones } from '../utils/money.js';
 
-test.describe('Homepage Tests', () => {
-  let homePage;
-
-  test.beforeEach(async ({ page }) => {
-    homePage = new HomePage(page);
-    await homePage.navigateToHome();
-  });
+test.describe('Homepage Tests', { tag: '@regression' }, () => {
+  test.use({ startPage: 'home', harArchive: 'homepage' });
 
   test.describe('Layout and Visual Elements', () => {
-    test('should display all main sections correctly', async () => {
+    test('should display all main sections correctly', { tag: '@smoke' }, async ({ homePage }) => {
       await test.step('Verify page loaded', async () => {
         await homePage.verifyHomepageLoaded();
       });
@@ -37,7 +31,7 @@ test.describe('Homepage Tests', () => {
       });
     });
 
-    test('should have proper responsive design', async ({ page }) => {
+    test('should have proper responsive design', async ({ page, homePage }) => {
       await test.step('Test mobile viewport', async () => {
         await page.setViewportSize({ width: 375, height: 667 });
         await homePage.waitForPageLoad();
@@ -57,7 +51,7 @@ test.describe('Homepage Tests', () => {
       });
     });
 
-    test('should display product images correctly', async () => {
+    test('should display product images correctly', async ({ homePage }) => {
       const productCount = await homePage.getProductCount();
       expect(productCount).toBeGreaterThan(0);
 
@@ -73,7 +67,7 @@ test.describe('Homepage Tests', () => {
   });
 
   test.describe('Product Grid Functionality', () => {
-    test('should display products with correct information', async () => {
+    test('should display products with correct information', { tag: '@smoke' }, async ({ homePage }) => {
       const productCount = await homePage.getProductCount();
       expect(productCount).toBeGreaterThan(0);
 
@@ -87,8 +81,10 @@ test.describe('Homepage Tests', () => {
 
       await test.step('Verify product price format', async () => {
         await expect(firstProduct.locator(homePage.productPrice)).toBeVisible();
-        const price = await homePage.getProductPrice(firstProduct);
-        expect(price).toMatch(/₡[\d,]+/);
+        // Any format the site renders (₡12,500, ₡12.500, ₡ 12 500,00, CRC ...) must read as a whole, positive amount.
+        const price = parseColones(await firstProduct.locator(homePage.productPrice).textContent());
+        expect(Number.isInteger(price)).toBe(true);
+        expect(price).toBeGreaterThan(0);
       });
 
       await test.step('Verify add to cart button', async () => {
@@ -96,10 +92,10 @@ test.describe('Homepage Tests', () => {
       });
     });
 
-    test('should have functional search', async () => {
+    test('should have functional search', async ({ homePage, dataGenerator }) => {
       await homePage.verifySearchFunctionality();
       
-      const searchTerm = TestDataGenerator.generateSearchTerm();
+      const searchTerm = dataGenerator.generateSearchTerm();
       
       await test.step(`Search for "${searchTerm}"`, async () => {
         await homePage.searchProducts(searchTerm);
@@ -122,7 +118,7 @@ test.describe('Homepage Tests', () => {
       });
     });
 
-    test('should filter products by category', async () => {
+    test('should filter products by category', async ({ homePage }) => {
       
       const categoryFilter = homePage.page.locator(homePage.categoryFilter);
       
@@ -140,10 +136,23 @@ test.describe('Homepage Tests', () => {
         });
       }
     });
+
+    test('should order every product for each sort option', async ({ homePage }) => {
+      const listed = (await homePage.listing.getListedProducts()).map(product => product.name).sort();
+      const options = await homePage.listing.getSortOptions();
+      expect(options.length).toBeGreaterThan(1);
+
+      for (const { value, label } of options) {
+        await test.step(`Sort by "${label}"`, async () => {
+          const products = await homePage.listing.verifySortOrder(value);
+          expect(products.map(product => product.name).sort()).toEqual(listed);
+        });
+      }
+    });
   });
 
   test.describe('Shopping Cart Functionality', () => {
-    test('should add products to cart successfully', async () => {
+    test('should add products to cart successfully', async ({ homePage }) => {
       await test.step('Get initial cart count', async () => {
         const initialCount = await homePage.getCartItemCount();
         expect(initialCount).toBeGreaterThanOrEqual(0);
@@ -154,18 +163,15 @@ test.describe('Homepage Tests', () => {
       });
 
       await test.step('Verify cart updated', async () => {
-        
-        await homePage.page.waitForTimeout(1000);
         const newCount = await homePage.getCartItemCount();
         
         expect(newCount).toBeGreaterThan(0);
       });
     });
 
-    test('should open and close cart modal', async () => {
+    test('should open and close cart modal', async ({ homePage }) => {
       await test.step('Add item to cart first', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
       });
 
       await test.step('Open cart modal', async () => {
@@ -185,64 +191,47 @@ test.describe('Homepage Tests', () => {
       });
     });
 
-    test('should proceed to WhatsApp checkout', async ({ context }) => {
+    test('should proceed to WhatsApp checkout', { tag: '@destructive' }, async ({ context, homePage, environment }) => {
       await test.step('Add product to cart', async () => {
         await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(500);
       });
 
       await test.step('Proceed to checkout', async () => {
         
         const pagePromise = context.waitForEvent('page', { timeout: 5000 });
         
-        try {
-          await homePage.proceedToCheckout();
-          const newPage = await pagePromise;
-          
-          
-          const url = newPage.url();
-          expect(url).toContain('api.whatsapp.com');
-          expect(url).toContain('50687396001'); 
-          
-          await newPage.close();
-        } catch (error) {
-          console.log('WhatsApp popup may be blocked or not triggered:', error.message);
-          
-        }
+        await homePage.proceedToCheckout();
+        const newPage = await pagePromise;
+        
+        
+        const url = newPage.url();
+        expect(url).toContain('api.whatsapp.com');
+        expect(url).toContain(environment.whatsappPhone);
+        
+        await newPage.close();
       });
     });
 
-    test('should remove items from cart', async () => {
+    test('should remove items from cart', async ({ homePage }) => {
       await test.step('Add multiple products', async () => {
-        await homePage.addFirstProductToCart();
-        await homePage.page.waitForTimeout(300);
-        
-        
-        const productCount = await homePage.getProductCount();
-        if (productCount > 1) {
-          const secondProduct = homePage.page.locator(homePage.productCards).nth(1);
-          const addButton = secondProduct.locator(homePage.addToCartButtons);
-          await addButton.click();
-          await homePage.page.waitForTimeout(300);
-        }
+        expect(await homePage.addFirstProductToCart()).toBe(1);
+        expect(await homePage.addProductToCartByIndex(1)).toBe(2);
       });
 
       await test.step('Remove first item', async () => {
-        await homePage.removeFirstCartItem();
-        await homePage.page.waitForTimeout(500);
+        const cartCount = await homePage.waits.forCountChange(() => homePage.getCartItemCount(), () => homePage.removeFirstCartItem());
+        expect(cartCount).toBe(1);
       });
 
       await test.step('Verify item removed', async () => {
-        
-        
-        const cartCount = await homePage.getCartItemCount();
-        expect(cartCount).toBeGreaterThanOrEqual(0);
+        expect(await homePage.getCartItemCount()).toBe(1);
+        await expect(homePage.cart.getRows()).toHaveCount(1);
       });
     });
   });
 
   test.describe('Navigation Tests', () => {
-    test('should navigate to tequila page', async () => {
+    test('should navigate to tequila page', { tag: '@smoke' }, async ({ homePage }) => {
       await test.step('Click tequila link', async () => {
         await homePage.navigateToTequila();
       });
@@ -253,7 +242,7 @@ test.describe('Homepage Tests', () => {
       });
     });
 
-    test('should navigate to blog', async () => {
+    test('should navigate to blog', async ({ homePage }) => {
       const blogLink = homePage.page.locator(homePage.blogLink);
       
       if (await blogLink.isVisible()) {
@@ -268,7 +257,7 @@ test.describe('Homepage Tests', () => {
       }
     });
 
-    test('should return to homepage when clicking logo', async () => {
+    test('should return to homepage when clicking logo', async ({ homePage }) => {
       await test.step('Navigate away from homepage', async () => {
         await homePage.navigateToTequila();
         expect(homePage.page.url()).toContain('/tequila');
@@ -281,47 +270,72 @@ test.describe('Homepage Tests', () => {
       await test.step('Verify back on homepage', async () => {
         await homePage.helpers.waitForPageLoad();
         const url = homePage.page.url();
-        expect(url).toBe('https://galeriamexicanacr.com/' || url.endsWith('/'));
+        expect(new URL(url).pathname).toBe('/');
+      });
+    });
+
+    test('should point header and footer links at valid targets', async ({ homePage }) => {
+      await test.step('Verify header links', async () => {
+        await homePage.header.verifyLinkTargets();
+      });
+
+      await test.step('Verify footer links', async () => {
+        await homePage.footer.verifyVisible();
+        await homePage.footer.verifyLinkTargets();
+      });
+    });
+
+    test('should render the same header and footer on every page', async ({ homePage }) => {
+      const routes = ['/', '/tequila', '/blog'];
+
+      await test.step('Compare header links', async () => {
+        const links = await homePage.header.verifyConsistentAcross(routes);
+        expect(links.length).toBeGreaterThan(0);
+      });
+
+      await test.step('Compare footer links', async () => {
+        const links = await homePage.footer.verifyConsistentAcross(routes);
+        expect(links.length).toBeGreaterThan(0);
       });
     });
   });
 
   test.describe('WhatsApp Integration', () => {
-    test('should have visible WhatsApp button', async () => {
+    test('should have visible WhatsApp button', async ({ homePage }) => {
       await expect(homePage.page.locator(homePage.whatsappButton)).toBeVisible();
     });
 
-    test('should open WhatsApp on button click', async ({ context }) => {
+    test('should link WhatsApp button to the store phone', async ({ homePage, environment }) => {
+      await homePage.whatsapp.verifyLinkTargets(environment.whatsappPhone);
+      expect(await homePage.whatsapp.getMessage()).toContain('Hola');
+    });
+
+    test('should open WhatsApp on button click', { tag: '@destructive' }, async ({ context, homePage, environment }) => {
       const pagePromise = context.waitForEvent('page', { timeout: 5000 });
       
-      try {
-        await homePage.clickWhatsAppButton();
-        const newPage = await pagePromise;
-        
-        const url = newPage.url();
-        expect(url).toContain('api.whatsapp.com');
-        expect(url).toContain('50687396001');
-        
-        await newPage.close();
-      } catch (error) {
-        console.log('WhatsApp popup may be blocked:', error.message);
-        
-      }
+      await homePage.clickWhatsAppButton();
+      const newPage = await pagePromise;
+      
+      const url = newPage.url();
+      expect(url).toContain('api.whatsapp.com');
+      expect(url).toContain(environment.whatsappPhone);
+      
+      await newPage.close();
     });
   });
 
   test.describe('SEO and Accessibility', () => {
-    test('should have proper SEO elements', async () => {
+    test('should have proper SEO elements', async ({ homePage }) => {
       await homePage.verifySEO();
     });
 
-    test('should have proper page title', async () => {
+    test('should have proper page title', { tag: '@smoke' }, async ({ homePage }) => {
       const title = await homePage.getTitle();
       expect(title).toContain('Galería Mexicana');
       expect(title).toContain('Costa Rica');
     });
 
-    test('should have meta description', async () => {
+    test('should have meta description', async ({ homePage }) => {
       const metaDescription = homePage.page.locator('meta[name="description"]');
       await expect(metaDescription).toHaveAttribute('content');
       
@@ -329,7 +343,7 @@ test.describe('Homepage Tests', () => {
       expect(content.length).toBeGreaterThan(100);
     });
 
-    test('should have structured data', async () => {
+    test('should have structured data', async ({ homePage }) => {
       const jsonLdScripts = homePage.page.locator('script[type="application/ld+json"]');
       const count = await jsonLdScripts.count();
       expect(count).toBeGreaterThan(0);
@@ -339,11 +353,11 @@ test.describe('Homepage Tests', () => {
       expect(() => JSON.parse(jsonLdContent)).not.toThrow();
     });
 
-    test('should pass basic accessibility checks', async () => {
+    test('should pass basic accessibility checks', { tag: '@a11y' }, async ({ homePage }) => {
       await homePage.verifyAccessibility();
     });
 
-    test('should have proper heading structure', async () => {
+    test('should have proper heading structure', { tag: '@a11y' }, async ({ homePage }) => {
       
       const h1Count = await homePage.page.locator('h1').count();
       expect(h1Count).toBe(1);
@@ -354,17 +368,17 @@ test.describe('Homepage Tests', () => {
     });
   });
 
-  test.describe('Performance Tests', () => {
-    test('should load within acceptable time', async () => {
+  test.describe('Performance Tests', { tag: '@perf' }, () => {
+    test('should load within acceptable time', async ({ homePage, environment }) => {
       const startTime = Date.now();
       await homePage.navigateToHome();
       const loadTime = Date.now() - startTime;
       
       
-      expect(loadTime).toBeLessThan(5000);
+      expect(loadTime).toBeLessThan(environment.budgets.pageLoad);
     });
 
-    test('should have optimized images', async () => {
+    test('should have optimized images', async ({ homePage }) => {
       const images = homePage.page.locator('img');
       const imageCount = await images.count();
       
@@ -385,7 +399,7 @@ test.describe('Homepage Tests', () => {
   });
 
   test.describe('Error Handling', () => {
-    test('should handle invalid search gracefully', async () => {
+    test('should handle invalid search gracefully', async ({ homePage }) => {
       await test.step('Search with invalid term', async () => {
         await homePage.searchProducts('xyz123invalidterm');
       });
@@ -397,11 +411,10 @@ test.describe('Homepage Tests', () => {
       });
     });
 
-    test('should handle rapid cart interactions', async () => {
+    test('should handle rapid cart interactions', async ({ homePage }) => {
       await test.step('Rapidly add items to cart', async () => {
         for (let i = 0; i < 3; i++) {
           await homePage.addFirstProductToCart();
-          await homePage.page.waitForTimeout(100);
         }
       });
 
@@ -0,0 +1,31 @@
+import { test, expect } from '@playwright/test';
+import { MoneyParseError, parseColones, parsePriceLabel, formatColones, fromColones } from '../utils/money.js';
+
+// Pure parsing checks: no page, so they import the plain Playwright test rather than the fixtures.
+test.describe('Colón Money Utility', { tag: '@regression' }, () => {
+  test('should parse every price format the site renders', () => {
+    for (const text of ['₡12,500', '₡12.500', '₡ 12 500,00', '12,500 CRC', 'CRC 12.500']) {
+      expect(parseColones(text), text).toBe(fromColones(12500));
+    }
+    expect(parseColones('₡12,500.50')).toBe(1250050);
+  });
+
+  test('should stop at the first token that is not a thousands group', () => {
+    expect(parseColones('₡25,000 750 ml')).toBe(fromColones(25000));
+    expect(parseColones('₡25.000 750 ml')).toBe(fromColones(25000));
+    expect(parseColones('₡ 25 000 ml')).toBe(fromColones(25000));
+  });
+
+  test('should read discounts and ranges', () => {
+    expect(parsePriceLabel('₡32,000 ₡28,500')).toEqual({ amount: fromColones(28500), original: fromColones(32000), range: null });
+    expect(parsePriceLabel('₡12,500 a ₡18,000').range).toEqual({ min: fromColones(12500), max: fromColones(18000) });
+    expect(() => parseColones('Agotado')).toThrow(MoneyParseError);
+  });
+
+  test('should format céntimos with the sign before the symbol', () => {
+    expect(formatColones(fromColones(12500))).toBe('₡12,500');
+    expect(formatColones(1250050)).toBe('₡12,500.50');
+    expect(formatColones(-150)).toBe('-₡1.50');
+    expect(formatColones(-fromColones(12500))).toBe('-₡12,500');
+  });
+});
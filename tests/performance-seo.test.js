@@ -1,16 +1,8 @@
-import { test, expect } from '@playwright/test';
-import { HomePage } from '../pages/HomePage.js';
-import { TequilaPage } from '../pages/TequilaPage.js';
-
-test.describe('Performance Tests', () => {
-  let homePage;
-
-  test.beforeEach(async ({ page }) => {
-    homePage = new HomePage(page);
-  });
+import { test, expect } from '../fixtures/test-fixtures.js';
 
+test.describe('Performance Tests', { tag: ['@regression', '@perf'] }, () => {
   test.describe('Page Load Performance', () => {
-    test('should load homepage within acceptable time', async () => {
+    test('should load homepage within acceptable time', { tag: '@smoke' }, async ({ homePage, environment }) => {
       const startTime = Date.now();
       
       await test.step('Navigate to homepage', async () => {
@@ -22,7 +14,7 @@ test.describe('Performance Tests', () => {
       
       await test.step('Verify load time is acceptable', async () => {
         
-        expect(loadTime).toBeLessThan(3000);
+        expect(loadTime).toBeLessThan(environment.budgets.homepageLoad);
       });
 
       await test.step('Verify page is fully interactive', async () => {
@@ -33,7 +25,7 @@ test.describe('Performance Tests', () => {
       });
     });
 
-    test('should have acceptable Time to First Contentful Paint', async () => {
+    test('should have acceptable Time to First Contentful Paint', async ({ homePage, environment }) => {
       await test.step('Measure FCP', async () => {
         await homePage.navigateToHome();
         
@@ -54,12 +46,12 @@ test.describe('Performance Tests', () => {
         
         if (fcpTime) {
           console.log(`First Contentful Paint: ${fcpTime}ms`);
-          expect(fcpTime).toBeLessThan(2000); 
+          expect(fcpTime).toBeLessThan(environment.budgets.firstContentfulPaint);
         }
       });
     });
 
-    test('should have acceptable Largest Contentful Paint', async () => {
+    test('should have acceptable Largest Contentful Paint', async ({ homePage, environment }) => {
       await test.step('Measure LCP', async () => {
         await homePage.navigateToHome();
         
@@ -85,14 +77,14 @@ test.describe('Performance Tests', () => {
         
         if (lcpTime) {
           console.log(`Largest Contentful Paint: ${lcpTime}ms`);
-          expect(lcpTime).toBeLessThan(2500); 
+          expect(lcpTime).toBeLessThan(environment.budgets.largestContentfulPaint);
         }
       });
     });
   });
 
   test.describe('Resource Loading Performance', () => {
-    test('should load images efficiently', async () => {
+    test('should load images efficiently', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check image loading', async () => {
@@ -129,7 +121,7 @@ test.describe('Performance Tests', () => {
       });
     });
 
-    test('should have optimized image formats', async () => {
+    test('should have optimized image formats', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check image formats', async () => {
@@ -162,7 +154,7 @@ test.describe('Performance Tests', () => {
       });
     });
 
-    test('should have efficient CSS and JS loading', async () => {
+    test('should have efficient CSS and JS loading', async ({ homePage, environment }) => {
       await test.step('Analyze resource loading', async () => {
         const resourceTimings = await homePage.page.evaluate(() => {
           const resources = performance.getEntriesByType('resource');
@@ -181,14 +173,14 @@ test.describe('Performance Tests', () => {
         console.log('Resource loading stats:', resourceTimings);
         
         
-        expect(resourceTimings.avgCssLoad).toBeLessThan(1000);
-        expect(resourceTimings.avgJsLoad).toBeLessThan(2000);
+        expect(resourceTimings.avgCssLoad).toBeLessThan(environment.budgets.cssLoad);
+        expect(resourceTimings.avgJsLoad).toBeLessThan(environment.budgets.jsLoad);
       });
     });
   });
 
   test.describe('Runtime Performance', () => {
-    test('should have smooth interactions', async () => {
+    test('should have smooth interactions', async ({ homePage, environment }) => {
       await homePage.navigateToHome();
       
       await test.step('Test cart interactions performance', async () => {
@@ -197,13 +189,12 @@ test.describe('Performance Tests', () => {
         
         for (let i = 0; i < 3; i++) {
           await homePage.addFirstProductToCart();
-          await homePage.page.waitForTimeout(50);
         }
         
         const addTime = Date.now() - startTime;
         console.log(`Time to add 3 items: ${addTime}ms`);
         
-        expect(addTime).toBeLessThan(1500);
+        expect(addTime).toBeLessThan(environment.budgets.addToCart);
       });
 
       await test.step('Test modal opening performance', async () => {
@@ -212,13 +203,13 @@ test.describe('Performance Tests', () => {
         const openTime = Date.now() - startTime;
         
         console.log(`Cart modal open time: ${openTime}ms`);
-        expect(openTime).toBeLessThan(500);
+        expect(openTime).toBeLessThan(environment.budgets.cartOpen);
         
         await homePage.closeCart();
       });
     });
 
-    test('should handle scroll performance', async () => {
+    test('should handle scroll performance', async ({ homePage, environment }) => {
       await homePage.navigateToHome();
       
       await test.step('Test smooth scrolling', async () => {
@@ -229,7 +220,8 @@ test.describe('Performance Tests', () => {
           window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
         });
         
-        await homePage.page.waitForTimeout(1000);
+        await homePage.page.waitForFunction(() => window.scrollY + window.innerHeight >= document.documentElement.scrollHeight - 1);
+        await homePage.waits.forNoPendingRequests();
         
         
         await homePage.page.evaluate(() => {
@@ -240,11 +232,11 @@ test.describe('Performance Tests', () => {
         console.log(`Scroll test time: ${scrollTime}ms`);
         
         
-        expect(scrollTime).toBeLessThan(3000);
+        expect(scrollTime).toBeLessThan(environment.budgets.scroll);
       });
     });
 
-    test('should have efficient memory usage', async () => {
+    test('should have efficient memory usage', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Monitor memory usage', async () => {
@@ -287,7 +279,7 @@ test.describe('Performance Tests', () => {
   });
 
   test.describe('Network Performance', () => {
-    test('should minimize HTTP requests', async () => {
+    test('should minimize HTTP requests', async ({ homePage }) => {
       await test.step('Count network requests', async () => {
         const requests = [];
         
@@ -310,7 +302,7 @@ test.describe('Performance Tests', () => {
       });
     });
 
-    test('should use appropriate caching headers', async () => {
+    test('should use appropriate caching headers', async ({ homePage }) => {
       await test.step('Check caching', async () => {
         const responses = [];
         
@@ -349,17 +341,9 @@ test.describe('Performance Tests', () => {
   });
 });
 
-test.describe('SEO Tests', () => {
-  let homePage;
-  let tequilaPage;
-
-  test.beforeEach(async ({ page }) => {
-    homePage = new HomePage(page);
-    tequilaPage = new TequilaPage(page);
-  });
-
+test.describe('SEO Tests', { tag: '@regression' }, () => {
   test.describe('Meta Tags and Title', () => {
-    test('should have proper title tags', async () => {
+    test('should have proper title tags', { tag: '@smoke' }, async ({ homePage, tequilaPage }) => {
       await test.step('Check homepage title', async () => {
         await homePage.navigateToHome();
         const title = await homePage.getTitle();
@@ -381,7 +365,7 @@ test.describe('SEO Tests', () => {
       });
     });
 
-    test('should have proper meta descriptions', async () => {
+    test('should have proper meta descriptions', async ({ homePage, tequilaPage }) => {
       await test.step('Check homepage meta description', async () => {
         await homePage.navigateToHome();
         
@@ -404,7 +388,7 @@ test.describe('SEO Tests', () => {
       });
     });
 
-    test('should have proper Open Graph tags', async () => {
+    test('should have proper Open Graph tags', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check required OG tags', async () => {
@@ -437,7 +421,7 @@ test.describe('SEO Tests', () => {
   });
 
   test.describe('Structured Data', () => {
-    test('should have valid JSON-LD structured data', async () => {
+    test('should have valid JSON-LD structured data', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check JSON-LD presence', async () => {
@@ -469,7 +453,7 @@ test.describe('SEO Tests', () => {
       });
     });
 
-    test('should have product structured data', async () => {
+    test('should have product structured data', async ({ tequilaPage }) => {
       await tequilaPage.navigateToTequilaPage();
       
       await test.step('Check for product schema', async () => {
@@ -491,11 +475,11 @@ test.describe('SEO Tests', () => {
   });
 
   test.describe('URL Structure and Navigation', () => {
-    test('should have SEO-friendly URLs', async () => {
+    test('should have SEO-friendly URLs', async ({ baseURL, homePage, tequilaPage }) => {
       await test.step('Check homepage URL', async () => {
         await homePage.navigateToHome();
         const url = homePage.page.url();
-        expect(url).toBe('https://galeriamexicanacr.com/');
+        expect(url).toBe(new URL('/', baseURL).href);
       });
 
       await test.step('Check tequila page URL', async () => {
@@ -506,7 +490,7 @@ test.describe('SEO Tests', () => {
       });
     });
 
-    test('should have proper canonical URLs', async () => {
+    test('should have proper canonical URLs', async ({ homePage, environment }) => {
       await homePage.navigateToHome();
       
       await test.step('Check canonical tag', async () => {
@@ -516,11 +500,12 @@ test.describe('SEO Tests', () => {
           const href = await canonical.getAttribute('href');
           expect(href).toBeTruthy();
           expect(href).toMatch(/^https?:\/\//);
+          expect(new URL(href).host).toBe(environment.canonicalHost);
         }
       });
     });
 
-    test('should have proper sitemap', async () => {
+    test('should have proper sitemap', async ({ homePage }) => {
       await test.step('Check sitemap accessibility', async () => {
         const response = await homePage.page.goto('/sitemap.xml');
         expect(response.status()).toBe(200);
@@ -534,7 +519,7 @@ test.describe('SEO Tests', () => {
       });
     });
 
-    test('should have proper robots.txt', async () => {
+    test('should have proper robots.txt', async ({ homePage }) => {
       await test.step('Check robots.txt', async () => {
         const response = await homePage.page.goto('/robots.txt');
         expect(response.status()).toBe(200);
@@ -547,7 +532,7 @@ test.describe('SEO Tests', () => {
   });
 
   test.describe('Content Quality', () => {
-    test('should have proper heading structure', async () => {
+    test('should have proper heading structure', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check heading hierarchy', async () => {
@@ -562,7 +547,7 @@ test.describe('SEO Tests', () => {
       });
     });
 
-    test('should have descriptive alt text for images', async () => {
+    test('should have descriptive alt text for images', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check image alt attributes', async () => {
@@ -595,11 +580,11 @@ test.describe('SEO Tests', () => {
       });
     });
 
-    test('should have internal linking', async () => {
+    test('should have internal linking', async ({ homePage, environment }) => {
       await homePage.navigateToHome();
       
       await test.step('Check internal links', async () => {
-        const links = homePage.page.locator('a[href^="/"], a[href^="http://localhost"], a[href^="https://galeriamexicanacr.com"]');
+        const links = homePage.page.locator(`a[href^="/"], a[href^="http://localhost"], a[href^="https://${environment.canonicalHost}"]`);
         const linkCount = await links.count();
         
         expect(linkCount).toBeGreaterThan(3);
@@ -620,7 +605,7 @@ test.describe('SEO Tests', () => {
   });
 
   test.describe('Mobile SEO', () => {
-    test('should have mobile-friendly viewport', async () => {
+    test('should have mobile-friendly viewport', async ({ homePage }) => {
       await homePage.navigateToHome();
       
       await test.step('Check viewport meta tag', async () => {
@@ -631,7 +616,7 @@ test.describe('SEO Tests', () => {
       });
     });
 
-    test('should be mobile-responsive', async ({ page }) => {
+    test('should be mobile-responsive', async ({ page, homePage }) => {
       await test.step('Test mobile responsiveness', async () => {
         await page.setViewportSize({ width: 375, height: 667 });
         await homePage.navigateToHome();
@@ -1,17 +1,10 @@
-import { test, expect } from '@playwright/test';
-import { TequilaPage } from '../pages/TequilaPage.js';
-import { HomePage } from '../pages/HomePage.js';
+import { test, expect } from '../fixtures/test-fixtures.js';
 
-test.describe('Tequila Page Tests', () => {
-  let tequilaPage;
-
-  test.beforeEach(async ({ page }) => {
-    tequilaPage = new TequilaPage(page);
-    await tequilaPage.navigateToTequilaPage();
-  });
+test.describe('Tequila Page Tests', { tag: '@regression' }, () => {
+  test.use({ startPage: 'tequila', harArchive: 'tequila' });
 
   test.describe('Page Layout and Loading', () => {
-    test('should display tequila page correctly', async () => {
+    test('should display tequila page correctly', { tag: '@smoke' }, async ({ tequilaPage }) => {
       await test.step('Verify page loaded', async () => {
         await tequilaPage.verifyTequilaPageLoaded();
       });
@@ -25,7 +18,7 @@ test.describe('Tequila Page Tests', () => {
       });
     });
 
-    test('should have proper page title and meta information', async () => {
+    test('should have proper page title and meta information', async ({ tequilaPage }) => {
       const title = await tequilaPage.getTitle();
       expect(title.toLowerCase()).toContain('tequila');
       
@@ -34,7 +27,7 @@ test.describe('Tequila Page Tests', () => {
       expect(headingText.toLowerCase()).toContain('tequila');
     });
 
-    test('should display tequila products with proper information', async () => {
+    test('should display tequila products with proper information', { tag: '@smoke' }, async ({ tequilaPage }) => {
       await test.step('Verify tequila details', async () => {
         await tequilaPage.verifyTequilaDetails();
       });
@@ -46,7 +39,7 @@ test.describe('Tequila Page Tests', () => {
   });
 
   test.describe('Product Filtering', () => {
-    test('should filter by "Todos" category', async () => {
+    test('should filter by "Todos" category', async ({ tequilaPage }) => {
       await test.step('Select all categories', async () => {
         await tequilaPage.selectAllCategories();
       });
@@ -57,7 +50,7 @@ test.describe('Tequila Page Tests', () => {
       });
     });
 
-    test('should filter by Blanco tequilas', async () => {
+    test('should filter by Blanco tequilas', async ({ tequilaPage }) => {
       await test.step('Filter by Blanco', async () => {
         await tequilaPage.filterByBlanco();
       });
@@ -82,7 +75,7 @@ test.describe('Tequila Page Tests', () => {
       });
     });
 
-    test('should filter by Reposado tequilas', async () => {
+    test('should filter by Reposado tequilas', async ({ tequilaPage }) => {
       await test.step('Filter by Reposado', async () => {
         await tequilaPage.filterByReposado();
       });
@@ -92,7 +85,7 @@ test.describe('Tequila Page Tests', () => {
       });
     });
 
-    test('should filter by Añejo tequilas', async () => {
+    test('should filter by Añejo tequilas', async ({ tequilaPage }) => {
       await test.step('Filter by Añejo', async () => {
         await tequilaPage.filterByAnejo();
       });
@@ -102,7 +95,7 @@ test.describe('Tequila Page Tests', () => {
       });
     });
 
-    test('should maintain state when switching between filters', async () => {
+    test('should maintain state when switching between filters', async ({ tequilaPage }) => {
       await test.step('Filter by Blanco', async () => {
         await tequilaPage.filterByBlanco();
         const blancoCount = await tequilaPage.getTequilaCount();
@@ -124,11 +117,11 @@ test.describe('Tequila Page Tests', () => {
   });
 
   test.describe('Product Information Display', () => {
-    test('should display Don Julio products', async () => {
+    test('should display Don Julio products', async ({ tequilaPage }) => {
       await tequilaPage.verifyDonJulioProducts();
     });
 
-    test('should show detailed product information', async () => {
+    test('should show detailed product information', async ({ tequilaPage }) => {
       const firstTequila = await tequilaPage.getFirstTequila();
       const info = await tequilaPage.getTequilaInfo(firstTequila);
       
@@ -138,7 +131,7 @@ test.describe('Tequila Page Tests', () => {
       });
 
       await test.step('Verify product price', async () => {
-        expect(info.price).toMatch(/₡[\d,]+/);
+        expect(info.price).toBeGreaterThan(0);
       });
 
       await test.step('Verify product brand', async () => {
@@ -150,7 +143,7 @@ test.describe('Tequila Page Tests', () => {
       });
     });
 
-    test('should display product images correctly', async () => {
+    test('should display product images correctly', async ({ tequilaPage }) => {
       const tequilas = tequilaPage.page.locator(tequilaPage.tequilaCards);
       const count = await tequilas.count();
       
@@ -164,7 +157,7 @@ test.describe('Tequila Page Tests', () => {
       }
     });
 
-    test('should show stock status correctly', async () => {
+    test('should show stock status correctly', async ({ tequilaPage }) => {
       const tequilas = tequilaPage.page.locator(tequilaPage.tequilaCards);
       const count = await tequilas.count();
       
@@ -175,7 +168,7 @@ test.describe('Tequila Page Tests', () => {
       }
     });
 
-    test('should display discount badges when applicable', async () => {
+    test('should display discount badges when applicable', async ({ tequilaPage }) => {
       const tequilas = tequilaPage.page.locator(tequilaPage.tequilaCards);
       const count = await tequilas.count();
       
@@ -195,18 +188,17 @@ test.describe('Tequila Page Tests', () => {
   });
 
   test.describe('Cart Integration', () => {
-    test('should add tequila to cart successfully', async () => {
+    test('should add tequila to cart successfully', { tag: '@smoke' }, async ({ tequilaPage }) => {
       await test.step('Verify cart integration', async () => {
         await tequilaPage.verifyCartIntegration();
       });
     });
 
-    test('should update cart counter after adding products', async () => {
+    test('should update cart counter after adding products', async ({ tequilaPage }) => {
       const initialCount = await tequilaPage.getCartItemCount();
       
       await test.step('Add first tequila to cart', async () => {
         await tequilaPage.addFirstTequilaToCart();
-        await tequilaPage.page.waitForTimeout(1000);
       });
 
       await test.step('Verify cart updated', async () => {
@@ -215,7 +207,7 @@ test.describe('Tequila Page Tests', () => {
       });
     });
 
-    test('should add multiple different tequilas to cart', async () => {
+    test('should add multiple different tequilas to cart', async ({ tequilaPage }) => {
       const tequilaCount = await tequilaPage.getTequilaCount();
       const itemsToAdd = Math.min(tequilaCount, 3);
       
@@ -223,7 +215,6 @@ test.describe('Tequila Page Tests', () => {
         await test.step(`Add tequila ${i + 1} to cart`, async () => {
           const tequila = tequilaPage.page.locator(tequilaPage.tequilaCards).nth(i);
           await tequilaPage.addTequilaToCart(tequila);
-          await tequilaPage.page.waitForTimeout(300);
         });
       }
 
@@ -235,7 +226,7 @@ test.describe('Tequila Page Tests', () => {
   });
 
   test.describe('Product Modal/Details', () => {
-    test('should open and close product modal', async () => {
+    test('should open and close product modal', async ({ tequilaPage }) => {
       const firstTequila = await tequilaPage.getFirstTequila();
       const quickViewBtn = firstTequila.locator(tequilaPage.quickViewBtn);
       
@@ -254,7 +245,7 @@ test.describe('Tequila Page Tests', () => {
   });
 
   test.describe('Search and Sort Functionality', () => {
-    test('should search tequilas by name', async () => {
+    test('should search tequilas by name', async ({ tequilaPage }) => {
       const searchBox = tequilaPage.page.locator(tequilaPage.searchBox);
       
       if (await searchBox.isVisible()) {
@@ -277,34 +268,33 @@ test.describe('Tequila Page Tests', () => {
       }
     });
 
-    test('should sort products by price', async () => {
+    test('should sort products by price', async ({ tequilaPage }) => {
       const sortSelect = tequilaPage.page.locator(tequilaPage.sortSelect);
       
       if (await sortSelect.isVisible()) {
-        await test.step('Sort by price low to high', async () => {
-          await tequilaPage.sortProducts('price-low');
-        });
-
-        await test.step('Verify sort order', async () => {
-          const tequilas = tequilaPage.page.locator(tequilaPage.tequilaCards);
-          const count = await tequilas.count();
-          
-          if (count > 1) {
-            const firstPrice = await tequilaPage.getTequilaPrice(tequilas.first());
-            const secondPrice = await tequilaPage.getTequilaPrice(tequilas.nth(1));
-            
-            const firstNum = parseInt(firstPrice.replace(/₡|,/g, ''));
-            const secondNum = parseInt(secondPrice.replace(/₡|,/g, ''));
-            
-            expect(firstNum).toBeLessThanOrEqual(secondNum);
-          }
+        await test.step('Sort by price low to high and verify every tequila', async () => {
+          const tequilas = await tequilaPage.listing.verifySortOrder('price-low');
+          expect(tequilas.length).toBe(await tequilaPage.getTequilaCount());
         });
       } else {
         test.skip('Sort functionality not available');
       }
     });
 
-    test('should filter by brand', async () => {
+    test('should order every tequila for each sort option', async ({ tequilaPage }) => {
+      const listed = (await tequilaPage.listing.getListedProducts()).map(tequila => tequila.name).sort();
+      const options = await tequilaPage.listing.getSortOptions();
+      expect(options.length).toBeGreaterThan(1);
+
+      for (const { value, label } of options) {
+        await test.step(`Sort by "${label}"`, async () => {
+          const tequilas = await tequilaPage.listing.verifySortOrder(value);
+          expect(tequilas.map(tequila => tequila.name).sort()).toEqual(listed);
+        });
+      }
+    });
+
+    test('should filter by brand', async ({ tequilaPage }) => {
       const brandFilter = tequilaPage.page.locator(tequilaPage.brandFilter);
       
       if (await brandFilter.isVisible()) {
@@ -330,13 +320,13 @@ test.describe('Tequila Page Tests', () => {
   });
 
   test.describe('Responsive Design', () => {
-    test('should work correctly on mobile devices', async ({ page }) => {
+    test('should work correctly on mobile devices', async ({ page, tequilaPage }) => {
       await test.step('Test mobile responsiveness', async () => {
         await tequilaPage.verifyResponsiveDesign();
       });
     });
 
-    test('should maintain functionality on tablet', async ({ page }) => {
+    test('should maintain functionality on tablet', async ({ page, tequilaPage }) => {
       await test.step('Switch to tablet view', async () => {
         await page.setViewportSize({ width: 768, height: 1024 });
         await tequilaPage.waitForPageLoad();
@@ -354,7 +344,7 @@ test.describe('Tequila Page Tests', () => {
       });
     });
 
-    test('should adapt to different screen sizes', async ({ page }) => {
+    test('should adapt to different screen sizes', async ({ page, tequilaPage }) => {
       const viewports = [
         { width: 320, height: 568, name: 'iPhone SE' },
         { width: 375, height: 667, name: 'iPhone 8' },
@@ -380,19 +370,19 @@ test.describe('Tequila Page Tests', () => {
   });
 
   test.describe('SEO and Performance', () => {
-    test('should have proper SEO elements', async () => {
+    test('should have proper SEO elements', async ({ tequilaPage }) => {
       await tequilaPage.verifySEOElements();
     });
 
-    test('should load quickly', async () => {
+    test('should load quickly', { tag: '@perf' }, async ({ tequilaPage, environment }) => {
       const startTime = Date.now();
       await tequilaPage.navigateToTequilaPage();
       const loadTime = Date.now() - startTime;
       
-      expect(loadTime).toBeLessThan(5000);
+      expect(loadTime).toBeLessThan(environment.budgets.pageLoad);
     });
 
-    test('should have structured data for products', async () => {
+    test('should have structured data for products', async ({ tequilaPage }) => {
       const jsonLdScripts = tequilaPage.page.locator('script[type="application/ld+json"]');
       const count = await jsonLdScripts.count();
       expect(count).toBeGreaterThan(0);
@@ -400,9 +390,7 @@ test.describe('Tequila Page Tests', () => {
   });
 
   test.describe('Navigation Integration', () => {
-    test('should navigate back to homepage', async () => {
-      const homePage = new HomePage(tequilaPage.page);
-      
+    test('should navigate back to homepage', async ({ tequilaPage, homePage }) => {
       await test.step('Click logo to go home', async () => {
         await homePage.clickLogo();
       });
@@ -410,20 +398,23 @@ test.describe('Tequila Page Tests', () => {
       await test.step('Verify on homepage', async () => {
         await homePage.helpers.waitForPageLoad();
         const url = tequilaPage.page.url();
-        expect(url).toBe('https://galeriamexicanacr.com/' || url.endsWith('/'));
+        expect(new URL(url).pathname).toBe('/');
       });
     });
 
-    test('should maintain cart state when navigating', async () => {
+    test('should navigate to blog from the header', async ({ tequilaPage }) => {
+      await tequilaPage.header.navigateToBlog();
+      expect(new URL(tequilaPage.page.url()).pathname).toBe('/blog');
+    });
+
+    test('should maintain cart state when navigating', async ({ tequilaPage, homePage }) => {
       await test.step('Add tequila to cart', async () => {
         await tequilaPage.addFirstTequilaToCart();
-        await tequilaPage.page.waitForTimeout(500);
       });
 
       const cartCount = await tequilaPage.getCartItemCount();
       
       await test.step('Navigate to homepage', async () => {
-        const homePage = new HomePage(tequilaPage.page);
         await homePage.navigateToHome();
       });
 
@@ -435,7 +426,7 @@ test.describe('Tequila Page Tests', () => {
   });
 
   test.describe('Error Handling', () => {
-    test('should handle empty filter results gracefully', async () => {
+    test('should handle empty filter results gracefully', async ({ tequilaPage }) => {
       await tequilaPage.filterByExtraAnejo();
       
       const count = await tequilaPage.getTequilaCount();
@@ -444,12 +435,11 @@ test.describe('Tequila Page Tests', () => {
       }
     });
 
-    test('should handle rapid filter changes', async () => {
+    test('should handle rapid filter changes', async ({ tequilaPage }) => {
       const filters = ['blanco', 'reposado', 'anejo'];
       
       for (const filter of filters) {
         await tequilaPage.selectCategory(filter);
-        await tequilaPage.page.waitForTimeout(100);
       }
       
       await expect(tequilaPage.page.locator(tequilaPage.tequilaGrid)).toBeVisible();
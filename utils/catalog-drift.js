@@ -0,0 +1,95 @@
+import path from 'path';
+import { CATALOG_DIR } from './catalog-scraper.js';
+import { formatColones } from './money.js';
+import { getEnvironment } from '../config/environments.js';
+
+const DEFAULT_PRICE_THRESHOLD = 5;
+
+export function approvedCatalogPath(environment = getEnvironment().name) {
+  return path.join(CATALOG_DIR, `${environment}.approved.json`);
+}
+
+export function approveCommand(environment = getEnvironment().name) {
+  return environment === 'local' ? 'npm run catalog:approve' : `TEST_ENV=${environment} npm run catalog:approve`;
+}
+
+export function getPriceThreshold() {
+  const value = process.env.CATALOG_PRICE_THRESHOLD;
+  if (value === undefined || value === '') {
+    return DEFAULT_PRICE_THRESHOLD;
+  }
+
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw new Error(`Invalid CATALOG_PRICE_THRESHOLD "${value}". Expected a percentage such as 5 or 0.`);
+  }
+  return threshold;
+}
+
+export function diffCatalogs(baseline, current, { priceThreshold = getPriceThreshold() } = {}) {
+  const before = new Map(baseline.map(product => [product.name, product]));
+  const after = new Map(current.map(product => [product.name, product]));
+  const drift = { added: [], removed: [], priceChanges: [], soldOut: [], lostBadges: [] };
+
+  for (const product of current) {
+    if (!before.has(product.name)) {
+      drift.added.push(product);
+    }
+  }
+
+  for (const old of baseline) {
+    const product = after.get(old.name);
+    if (!product) {
+      drift.removed.push(old);
+      continue;
+    }
+
+    if (old.price && product.price !== old.price) {
+      const change = (product.price - old.price) / old.price * 100;
+      if (Math.abs(change) > priceThreshold) {
+        drift.priceChanges.push({ name: old.name, from: old.price, to: product.price, change });
+      }
+    }
+
+    if (old.inStock && product.inStock === false) {
+      drift.soldOut.push(product);
+    }
+
+    const lost = old.badges.filter(badge => !product.badges.includes(badge));
+    if (lost.length > 0) {
+      drift.lostBadges.push({ name: old.name, badges: lost });
+    }
+  }
+
+  return drift;
+}
+
+export function countDrift(drift) {
+  return Object.values(drift).reduce((sum, entries) => sum + entries.length, 0);
+}
+
+const describeProduct = product => `${product.name}${product.line ? ` (${product.line})` : ''}${product.price ? ` ${formatColones(product.price)}` : ''}`;
+const formatChange = change => `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+
+export function formatDriftReport(drift, { environment, baselineDate, priceThreshold = getPriceThreshold() } = {}) {
+  const header = `Catalog drift on ${environment} against the baseline scraped ${baselineDate}`;
+
+  if (countDrift(drift) === 0) {
+    return `${header}: no changes.`;
+  }
+
+  const sections = [
+    [`Added (${drift.added.length})`, drift.added.map(product => `+ ${describeProduct(product)}`)],
+    [`Removed (${drift.removed.length})`, drift.removed.map(product => `- ${describeProduct(product)}`)],
+    [`Price changes beyond ${priceThreshold}% (${drift.priceChanges.length})`, drift.priceChanges.map(({ name, from, to, change }) =>
+      `~ ${name}: ${formatColones(from)} → ${formatColones(to)} (${formatChange(change)})`)],
+    [`Now agotado (${drift.soldOut.length})`, drift.soldOut.map(product => `! ${describeProduct(product)}`)],
+    [`Lost badges (${drift.lostBadges.length})`, drift.lostBadges.map(({ name, badges }) => `! ${name}: ${badges.join(', ')}`)]
+  ].filter(([, lines]) => lines.length > 0);
+
+  return [
+    `${header}:`,
+    ...sections.map(([title, lines]) => `\n${title}\n${lines.map(line => `  ${line}`).join('\n')}`),
+    `\nIf these changes are expected, approve the new catalog with:\n  ${approveCommand(environment)}`
+  ].join('\n');
+}
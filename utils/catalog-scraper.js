@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { HomePage } from '../pages/HomePage.js';
+import { CategoryPage } from '../pages/CategoryPage.js';
+import { categories } from '../config/categories.js';
+import { getEnvironment } from '../config/environments.js';
+
+export const CATALOG_DIR = path.join(__dirname, '..', 'catalog');
+
+const ALL_TABS = ['todos', 'all'];
+
+export function catalogSnapshotPath(environment = getEnvironment().name) {
+  return path.join(CATALOG_DIR, `${environment}.json`);
+}
+
+function emptyProduct(name) {
+  return {
+    name,
+    brand: null,
+    line: null,
+    category: null,
+    type: null,
+    tabs: [],
+    price: null,
+    originalPrice: null,
+    alcohol: null,
+    origin: null,
+    age: null,
+    inStock: null,
+    badges: []
+  };
+}
+
+export class CatalogScraper {
+  constructor(page, { lines = Object.keys(categories) } = {}) {
+    this.page = page;
+    this.lines = lines;
+    this.products = new Map();
+  }
+
+  product(name) {
+    if (!this.products.has(name)) {
+      this.products.set(name, emptyProduct(name));
+    }
+    return this.products.get(name);
+  }
+
+  async scrape() {
+    await this.scrapeHome();
+    for (const line of this.lines) {
+      await this.scrapeLine(line);
+    }
+
+    return [...this.products.values()].sort((a, b) => a.name.localeCompare(b.name, 'es'));
+  }
+
+  async scrapeHome() {
+    const homePage = new HomePage(this.page);
+    await homePage.navigateToHome();
+
+    await homePage.listing.forEachCard(async card => {
+      Object.assign(this.product((await homePage.getProductName(card)).trim()), {
+        category: await homePage.getProductCategory(card),
+        price: await homePage.getProductPrice(card),
+        originalPrice: await homePage.getOriginalPrice(card),
+        inStock: await homePage.isInStock(card)
+      });
+    });
+  }
+
+  async scrapeLine(line) {
+    const categoryPage = new CategoryPage(this.page, line);
+    await categoryPage.navigateToCategoryPage();
+
+    for (const tab of await categoryPage.getTabSlugs()) {
+      await categoryPage.selectCategory(tab);
+
+      await categoryPage.listing.forEachCard(async card => {
+        const product = this.product((await card.locator(categoryPage.productName).textContent()).trim());
+        if (!ALL_TABS.includes(tab) && !product.tabs.includes(tab)) {
+          product.tabs.push(tab);
+        }
+        if (product.line === line) {
+          return;
+        }
+
+        const alcohol = card.locator(categoryPage.alcoholContent);
+        Object.assign(product, {
+          line,
+          brand: (await categoryPage.getProductBrand(card)).trim(),
+          type: (await categoryPage.getProductType(card)).trim(),
+          price: await categoryPage.getProductPrice(card),
+          originalPrice: await categoryPage.getOriginalPrice(card),
+          alcohol: await alcohol.count() > 0 ? (await alcohol.textContent()).trim() : null,
+          inStock: await categoryPage.isInStock(card),
+          badges: await categoryPage.getBadges(card)
+        });
+
+        for (const [field, value] of Object.entries(await categoryPage.getQuickViewDetails(card))) {
+          if (value !== null) {
+            product[field] = value;
+          }
+        }
+      });
+    }
+  }
+}
+
+export function writeCatalogSnapshot(products, file = catalogSnapshotPath()) {
+  const { name, baseURL } = getEnvironment();
+  const snapshot = {
+    environment: name,
+    baseURL,
+    scrapedAt: new Date().toISOString(),
+    products
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(snapshot, null, 2)}\n`);
+  return snapshot;
+}
+
+export function readCatalogSnapshot(file = catalogSnapshotPath()) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No catalog snapshot at ${file}. Create it with "npm run catalog:snapshot".`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+
+export const HAR_DIR = path.join(__dirname, '..', 'hars');
+export const RECORDINGS_DIR = path.join(HAR_DIR, '.recordings');
+
+const harModes = ['record', 'replay'];
+
+export function getHarMode() {
+  const mode = process.env.HAR_MODE;
+  if (mode && !harModes.includes(mode)) {
+    throw new Error(`Unknown HAR_MODE "${mode}". Expected one of: ${harModes.join(', ')}`);
+  }
+  return mode || null;
+}
+
+export function harArchivePath(name) {
+  return path.join(HAR_DIR, `${name}.har`);
+}
+
+export async function routeContextFromHar(context, name, testId) {
+  const mode = getHarMode();
+
+  if (mode === 'record') {
+    const recordingDir = path.join(RECORDINGS_DIR, name);
+    fs.mkdirSync(recordingDir, { recursive: true });
+    await context.routeFromHAR(path.join(recordingDir, `${testId}.har`), {
+      update: true,
+      updateContent: 'embed',
+      updateMode: 'full'
+    });
+  }
+
+  if (mode === 'replay') {
+    const archive = harArchivePath(name);
+    if (!fs.existsSync(archive)) {
+      throw new Error(`No HAR archive at ${archive}. Record it with "npm run har:refresh".`);
+    }
+    await context.routeFromHAR(archive, { notFound: 'abort' });
+  }
+}
+
+export function mergeRecordings() {
+  if (!fs.existsSync(RECORDINGS_DIR)) {
+    return [];
+  }
+
+  const archives = [];
+
+  for (const name of fs.readdirSync(RECORDINGS_DIR).sort()) {
+    const recordingDir = path.join(RECORDINGS_DIR, name);
+    const files = fs.readdirSync(recordingDir).filter(file => file.endsWith('.har')).sort();
+    const seen = new Set();
+    let archive = null;
+
+    for (const file of files) {
+      const { log } = JSON.parse(fs.readFileSync(path.join(recordingDir, file), 'utf8'));
+      archive = archive || { log: { ...log, pages: [], entries: [] } };
+      archive.log.pages.push(...(log.pages || []));
+
+      for (const entry of log.entries) {
+        const key = `${entry.request.method} ${entry.request.url}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          archive.log.entries.push(entry);
+        }
+      }
+    }
+
+    if (archive) {
+      fs.writeFileSync(harArchivePath(name), JSON.stringify(archive, null, 2));
+      archives.push({ name, tests: files.length, entries: archive.log.entries.length });
+    }
+  }
+
+  fs.rmSync(RECORDINGS_DIR, { recursive: true, force: true });
+  return archives;
+}
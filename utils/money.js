@@ -0,0 +1,87 @@
+export const CENTIMOS_PER_COLON = 100;
+
+const SPACES = ' \\u00a0\\u202f';
+// Thousands groups use one separator throughout, so "₡25,000 750 ml" stops at "25,000".
+const GROUPED = [',', '\\.', `[${SPACES}]`].map(separator => `\\d{1,3}(?:${separator}\\d{3})+`).join('|');
+const NUMBER = `(${GROUPED}|\\d+)(?:[.,](\\d{1,2}))?(?!\\d)`;
+const AMOUNT = new RegExp(`(?:₡|CRC)[${SPACES}]*${NUMBER}|${NUMBER}[${SPACES}]*(?:₡|CRC)`, 'gi');
+const RANGE_SEPARATOR = /^(?:-|–|—|a|hasta)$/i;
+
+export class MoneyParseError extends Error {
+  constructor(reason, text) {
+    super(`Could not parse colón amount: ${reason} in "${text}"`);
+    this.name = 'MoneyParseError';
+    this.text = text;
+  }
+}
+
+export function fromColones(colones) {
+  return Math.round(colones * CENTIMOS_PER_COLON);
+}
+
+export function toColones(centimos) {
+  return centimos / CENTIMOS_PER_COLON;
+}
+
+function findAmounts(text) {
+  return [...text.matchAll(AMOUNT)].map(match => {
+    const whole = match[1] ?? match[3];
+    const fraction = match[1] !== undefined ? match[2] : match[4];
+    return {
+      value: Number(whole.replace(/\D/g, '')) * CENTIMOS_PER_COLON + Number((fraction || '0').padEnd(2, '0')),
+      start: match.index,
+      end: match.index + match[0].length
+    };
+  });
+}
+
+export function parsePriceLabel(text) {
+  const source = text ?? '';
+  const amounts = findAmounts(source);
+
+  if (amounts.length === 0) {
+    throw new MoneyParseError('no ₡ or CRC amount', source);
+  }
+  if (amounts.length > 2) {
+    throw new MoneyParseError(`expected at most two amounts, found ${amounts.length}`, source);
+  }
+  if (amounts.length === 1) {
+    return { amount: amounts[0].value, original: null, range: null };
+  }
+
+  const [first, second] = amounts;
+  const between = source.slice(first.end, second.start).trim();
+
+  if (RANGE_SEPARATOR.test(between)) {
+    const [min, max] = [first.value, second.value].sort((a, b) => a - b);
+    return { amount: min, original: null, range: { min, max } };
+  }
+  if (first.value === second.value) {
+    throw new MoneyParseError('two equal amounts that are neither a range nor a discount', source);
+  }
+
+  // A struck-through original is always the higher of the two; the markup order varies.
+  return {
+    amount: Math.min(first.value, second.value),
+    original: Math.max(first.value, second.value),
+    range: null
+  };
+}
+
+export function parseColones(text) {
+  const { amount, range } = parsePriceLabel(text);
+  if (range) {
+    throw new MoneyParseError('expected a single price, got a range', text);
+  }
+  return amount;
+}
+
+export function formatColones(centimos) {
+  const sign = centimos < 0 ? '-' : '';
+  const magnitude = Math.abs(centimos);
+  const fraction = magnitude % CENTIMOS_PER_COLON;
+  return `${sign}₡${toColones(magnitude).toLocaleString('en-US', {
+    minimumFractionDigits: fraction ? 2 : 0,
+    maximumFractionDigits: 2
+  })}`;
+}
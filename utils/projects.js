@@ -0,0 +1,62 @@
+import { chromium, firefox, webkit } from '@playwright/test';
+
+const browserTypes = { chromium, firefox, webkit };
+
+function projectFilters(argv) {
+  const filters = [];
+
+  argv.forEach((arg, index) => {
+    if (arg === '--project') {
+      filters.push(argv[index + 1]);
+    } else if (arg.startsWith('--project=')) {
+      filters.push(arg.slice('--project='.length));
+    }
+  });
+
+  return filters.filter(Boolean);
+}
+
+function matchesFilter(name, filter) {
+  const pattern = filter.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${pattern}$`, 'i').test(name);
+}
+
+// Global setup receives every configured project, so the --project filter is read from the command line.
+export function selectedProjects(config, argv = process.argv) {
+  const filters = projectFilters(argv);
+  if (filters.length === 0) {
+    return config.projects;
+  }
+
+  const selected = config.projects.filter(project => filters.some(filter => matchesFilter(project.name, filter)));
+  if (argv.includes('--no-deps')) {
+    return selected;
+  }
+
+  for (const project of selected) {
+    for (const dependency of project.dependencies) {
+      const dependencyProject = config.projects.find(candidate => candidate.name === dependency);
+      if (dependencyProject && !selected.includes(dependencyProject)) {
+        selected.push(dependencyProject);
+      }
+    }
+  }
+  return selected;
+}
+
+export function projectBrowsers(projects) {
+  const browsers = new Map();
+
+  for (const { use } of projects) {
+    const name = use.browserName || use.defaultBrowserType || 'chromium';
+    if (!browsers.has(name)) {
+      browsers.set(name, {
+        name,
+        browserType: browserTypes[name],
+        launchOptions: { channel: use.channel, ...use.launchOptions }
+      });
+    }
+  }
+
+  return [...browsers.values()];
+}
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import path from 'path';
+import { HISTORY_FILE, readHistory } from './test-history.js';
+
+export const QUARANTINE_FILE = path.join(__dirname, '..', 'quarantine.json');
+
+const quarantineModes = ['report', 'tolerate', 'strict', 'skip'];
+
+export function getQuarantineMode() {
+  const mode = process.env.QUARANTINE_MODE || 'report';
+  if (!quarantineModes.includes(mode)) {
+    throw new Error(`Unknown QUARANTINE_MODE "${mode}". Expected one of: ${quarantineModes.join(', ')}`);
+  }
+  return mode;
+}
+
+export function quarantineId(titlePath) {
+  return titlePath.join(' › ');
+}
+
+function passedOnlyOnRetry(run, id) {
+  // The run summary suffixes ids with the project, e.g. "... › test [chromium]".
+  return run.passedOnRetry.some(flakyId => flakyId === id || flakyId.startsWith(`${id} [`));
+}
+
+export function loadQuarantine(file = QUARANTINE_FILE, { historyFile = HISTORY_FILE } = {}) {
+  if (!fs.existsSync(file)) {
+    return new Map();
+  }
+
+  const { tests } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const history = tests.length > 0 ? readHistory(historyFile) : [];
+  for (const entry of tests) {
+    if (!Array.isArray(entry.flakyRuns) || entry.flakyRuns.length === 0) {
+      throw new Error(`Quarantine entry "${entry.id}" lists no flakyRuns. Only quarantine a test the run summary reported as passing only on retry, and list those runs' start times.`);
+    }
+
+    for (const startedAt of entry.flakyRuns) {
+      const run = history.find(recorded => recorded.startedAt === startedAt);
+      if (!run) {
+        throw new Error(`Quarantine entry "${entry.id}" lists flaky run ${startedAt}, which is not recorded in ${path.relative(process.cwd(), historyFile)}.`);
+      }
+      if (!passedOnlyOnRetry(run, entry.id)) {
+        throw new Error(`Quarantine entry "${entry.id}" lists flaky run ${startedAt}, but that run did not report the test as passing only on retry.`);
+      }
+    }
+  }
+  return new Map(tests.map(entry => [entry.id, entry]));
+}
+
+export function findQuarantineEntry(titlePath, quarantine = loadQuarantine()) {
+  return quarantine.get(quarantineId(titlePath)) || null;
+}
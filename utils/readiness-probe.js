@@ -0,0 +1,119 @@
+import { request } from '@playwright/test';
+import { HomePage } from '../pages/HomePage.js';
+import { TequilaPage } from '../pages/TequilaPage.js';
+
+const POLL_INTERVAL = 1000;
+
+const readinessTargets = [
+  {
+    name: 'Homepage',
+    path: '/',
+    pageObject: HomePage,
+    selectors: ['header', 'productGrid', 'productCards']
+  },
+  {
+    name: 'Tequila page',
+    path: '/tequila',
+    pageObject: TequilaPage,
+    selectors: ['pageTitle', 'tequilaGrid', 'tequilaCards']
+  }
+];
+
+export class ReadinessError extends Error {
+  constructor(baseURL, failures) {
+    const details = failures.map(failure => `  - ${failure.name} (${failure.url}): ${failure.reason}`).join('\n');
+    super(`Target ${baseURL} is not ready for testing:\n${details}`);
+    this.name = 'ReadinessError';
+    this.failures = failures;
+  }
+}
+
+async function pollUntilResponding(context, url, deadline) {
+  let lastError;
+
+  do {
+    try {
+      const response = await context.get(url, { timeout: POLL_INTERVAL * 5, failOnStatusCode: false });
+      if (response.ok()) {
+        return null;
+      }
+      lastError = `HTTP ${response.status()} ${response.statusText()}`;
+    } catch (error) {
+      lastError = error.message.split('\n')[0];
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  } while (Date.now() < deadline);
+
+  return `did not respond successfully before timeout (last result: ${lastError})`;
+}
+
+async function findMissingSelectors(page, target, deadline) {
+  const pageObject = new target.pageObject(page);
+  const missing = [];
+
+  for (const key of target.selectors) {
+    const selector = pageObject[key];
+    try {
+      await page.locator(selector).first().waitFor({
+        state: 'attached',
+        timeout: Math.max(deadline - Date.now(), POLL_INTERVAL * 5)
+      });
+    } catch {
+      missing.push(`${target.pageObject.name}.${key} (${selector})`);
+    }
+  }
+
+  return missing;
+}
+
+export async function probeReadiness({ baseURL, timeout, browsers }) {
+  const deadline = Date.now() + timeout;
+  const failures = [];
+
+  const context = await request.newContext({ baseURL, ignoreHTTPSErrors: true });
+  try {
+    for (const target of readinessTargets) {
+      const reason = await pollUntilResponding(context, target.path, deadline);
+      if (reason) {
+        failures.push({ name: target.name, url: new URL(target.path, baseURL).href, reason });
+      }
+    }
+  } finally {
+    await context.dispose();
+  }
+
+  if (failures.length > 0) {
+    throw new ReadinessError(baseURL, failures);
+  }
+
+  for (const { name, browserType, launchOptions } of browsers) {
+    const browser = await browserType.launch(launchOptions);
+    try {
+      const page = await browser.newPage({ baseURL, ignoreHTTPSErrors: true });
+
+      for (const target of readinessTargets) {
+        const url = new URL(target.path, baseURL).href;
+        try {
+          await page.goto(target.path, { waitUntil: 'domcontentloaded' });
+        } catch (error) {
+          failures.push({ name: `${target.name} in ${name}`, url, reason: `failed to render (${error.message.split('\n')[0]})` });
+          continue;
+        }
+
+        const missing = await findMissingSelectors(page, target, deadline);
+        if (missing.length > 0) {
+          const title = await page.title();
+          failures.push({ name: `${target.name} in ${name}`, url, reason: `markup drifted, "${title}" is missing ${missing.join(', ')}` });
+        }
+      }
+    } finally {
+      await browser.close();
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new ReadinessError(baseURL, failures);
+  }
+
+  return readinessTargets.map(target => target.name);
+}
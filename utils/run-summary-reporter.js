@@ -0,0 +1,32 @@
+import { printRunSummary, summarizeRun } from './run-summary.js';
+import { appendHistory, readHistory } from './test-history.js';
+
+// A reporter, not global teardown: teardown runs before results.json is written and never runs for merge-reports.
+export default class RunSummaryReporter {
+  constructor() {
+    this.testsEnded = 0;
+  }
+
+  onBegin(config, suite) {
+    this.suite = suite;
+  }
+
+  onTestEnd() {
+    this.testsEnded++;
+  }
+
+  onEnd(result) {
+    // `--list` also ends the run, without running anything worth summarizing.
+    if (this.testsEnded === 0) {
+      return;
+    }
+
+    try {
+      const summary = summarizeRun(this.suite, result);
+      printRunSummary(summary, readHistory());
+      appendHistory(summary);
+    } catch (error) {
+      console.warn(`⚠️  Could not summarize test run: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,133 @@
+import path from 'path';
+import { QUARANTINE_FILE } from './quarantine.js';
+import { HISTORY_FILE } from './test-history.js';
+
+const SLOWEST_COUNT = 5;
+const TREND_COUNT = 5;
+
+const statusNames = {
+  expected: 'passed',
+  unexpected: 'failed',
+  flaky: 'flaky',
+  skipped: 'skipped'
+};
+
+function describeTest(test) {
+  const [, projectName, ...titlePath] = test.titlePath();
+  const annotations = [...test.annotations, ...test.results.flatMap(result => result.annotations || [])];
+  const lastResult = test.results[test.results.length - 1];
+
+  return {
+    id: `${titlePath.join(' › ')}${projectName ? ` [${projectName}]` : ''}`,
+    block: titlePath.slice(0, -1).join(' › '),
+    status: statusNames[test.outcome()],
+    outcome: !lastResult || lastResult.status === 'skipped' ? 'skipped' : lastResult.status === 'passed' ? 'passed' : 'failed',
+    quarantined: annotations.some(annotation => annotation.type === 'quarantined'),
+    duration: test.results.reduce((total, result) => total + result.duration, 0),
+    legacySelectors: [...new Set(annotations
+      .filter(annotation => annotation.type === 'legacy-selector')
+      .map(annotation => annotation.description))]
+  };
+}
+
+export function summarizeRun(rootSuite, result) {
+  const allTests = rootSuite.allTests().map(describeTest);
+  const tests = allTests.filter(test => !test.quarantined);
+  const quarantined = allTests.filter(test => test.quarantined);
+  const totals = { passed: 0, failed: 0, flaky: 0, skipped: 0 };
+  const blocks = new Map();
+  const legacySelectors = new Map();
+
+  for (const test of tests) {
+    for (const description of test.legacySelectors) {
+      legacySelectors.set(description, (legacySelectors.get(description) || 0) + 1);
+    }
+
+    totals[test.status] = (totals[test.status] || 0) + 1;
+
+    if (!blocks.has(test.block)) {
+      blocks.set(test.block, { passed: 0, failed: 0, flaky: 0, skipped: 0 });
+    }
+    blocks.get(test.block)[test.status] += 1;
+  }
+
+  return {
+    startedAt: result.startTime.toISOString(),
+    duration: Math.round(result.duration),
+    totals,
+    blocks,
+    legacySelectors,
+    slowest: [...tests].sort((a, b) => b.duration - a.duration).slice(0, SLOWEST_COUNT),
+    failures: tests.filter(test => test.status === 'failed').map(test => test.id),
+    passedOnRetry: tests.filter(test => test.status === 'flaky').map(test => test.id),
+    quarantined
+  };
+}
+
+function formatCounts(counts) {
+  return `${counts.passed} passed, ${counts.failed} failed, ${counts.flaky} flaky, ${counts.skipped} skipped`;
+}
+
+function passRate(totals) {
+  const ran = totals.passed + totals.failed + totals.flaky;
+  return ran === 0 ? 0 : Math.round(((totals.passed + totals.flaky) / ran) * 100);
+}
+
+export function printRunSummary(summary, history, historyFile = HISTORY_FILE) {
+  const previous = history[history.length - 1];
+
+  console.log('\n📈 Run Summary');
+  console.log(`  Total: ${formatCounts(summary.totals)} in ${(summary.duration / 1000).toFixed(1)}s`);
+
+  console.log('\n🗂️  By describe block:');
+  for (const [block, counts] of summary.blocks) {
+    const marker = counts.failed > 0 ? '❌' : counts.flaky > 0 ? '⚠️ ' : '✅';
+    console.log(`  ${marker} ${block}: ${formatCounts(counts)}`);
+  }
+
+  console.log(`\n🐢 Slowest ${summary.slowest.length} tests:`);
+  for (const test of summary.slowest) {
+    console.log(`  ${(test.duration / 1000).toFixed(1)}s  ${test.id}`);
+  }
+
+  if (summary.legacySelectors.size > 0) {
+    console.log(`\n🧹 Legacy selector fallbacks (${summary.legacySelectors.size}):`);
+    for (const [description, count] of summary.legacySelectors) {
+      console.log(`  - ${description} (${count} tests)`);
+    }
+  }
+
+  if (summary.quarantined.length > 0) {
+    const outcomes = summary.quarantined.reduce((counts, test) => ({ ...counts, [test.outcome]: (counts[test.outcome] || 0) + 1 }), {});
+    console.log(`\n🧪 Quarantined (${summary.quarantined.length}, not counted above): ${outcomes.passed || 0} passed, ${outcomes.failed || 0} failed, ${outcomes.skipped || 0} skipped`);
+    for (const test of summary.quarantined) {
+      console.log(`  ${test.outcome.padEnd(7)} ${test.id}`);
+    }
+  }
+
+  if (summary.passedOnRetry.length > 0) {
+    console.log(`\n🔁 Passed only on retry (${summary.passedOnRetry.length}); to quarantine, add to ${path.relative(process.cwd(), QUARANTINE_FILE)} with "flakyRuns": ["${summary.startedAt}"]:`);
+    for (const id of summary.passedOnRetry) {
+      console.log(`  - ${id.replace(/ \[[^\]]+\]$/, '')}`);
+    }
+  }
+
+  if (previous) {
+    const newFailures = summary.failures.filter(id => !previous.failures.includes(id));
+    const fixed = previous.failures.filter(id => !summary.failures.includes(id));
+
+    console.log(`\n🆕 New failures since ${previous.startedAt}: ${newFailures.length}`);
+    newFailures.forEach(id => console.log(`  - ${id}`));
+    if (fixed.length > 0) {
+      console.log(`🔧 Fixed since previous run: ${fixed.length}`);
+      fixed.forEach(id => console.log(`  - ${id}`));
+    }
+  } else {
+    console.log('\n🆕 No previous run in history to compare failures against');
+  }
+
+  console.log(`\n📊 Trend (last ${Math.min(history.length + 1, TREND_COUNT)} runs, ${path.relative(process.cwd(), historyFile)}):`);
+  for (const run of [...history, summary].slice(-TREND_COUNT)) {
+    console.log(`  ${run.startedAt}  ${passRate(run.totals)}% pass  ${run.totals.failed} failed  ${run.totals.flaky} flaky  ${(run.duration / 1000).toFixed(1)}s`);
+  }
+}
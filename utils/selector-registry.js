@@ -0,0 +1,80 @@
+import { test } from '@playwright/test';
+
+const registry = new Map();
+const matchLog = new Map();
+const warned = new Set();
+
+export function defineSelectors(group, definitions, { unique = [] } = {}) {
+  const selectors = {};
+
+  for (const [key, strategies] of Object.entries(definitions)) {
+    const name = `${group}.${key}`;
+    const selector = strategies.join(', ');
+    selectors[key] = selector;
+
+    if (!registry.has(selector)) {
+      registry.set(selector, { name, strategies, unique: unique.includes(key) });
+    }
+  }
+
+  return selectors;
+}
+
+export function getRegisteredSelectors() {
+  return [...registry.values()];
+}
+
+export function lookupSelector(selector) {
+  return registry.get(selector) || null;
+}
+
+export function getMatchLog() {
+  return [...matchLog.values()];
+}
+
+function reportLegacyMatch(entry, strategy) {
+  const description = `${entry.name} matched legacy fallback "${strategy}" instead of "${entry.strategies[0]}"`;
+
+  if (!warned.has(description)) {
+    warned.add(description);
+    console.warn(`⚠️  Selector ${description}`);
+  }
+
+  try {
+    const { annotations } = test.info();
+    if (!annotations.some(annotation => annotation.type === 'legacy-selector' && annotation.description === description)) {
+      annotations.push({ type: 'legacy-selector', description });
+    }
+  } catch {
+    // Outside a running test (e.g. global setup) there is no report to annotate.
+  }
+}
+
+export async function findMatchingStrategy(page, entry) {
+  for (const [index, strategy] of entry.strategies.entries()) {
+    if (await page.locator(strategy).count() > 0) {
+      return { name: entry.name, strategy, index };
+    }
+  }
+  return null;
+}
+
+export async function recordSelectorMatch(page, selector) {
+  const entry = lookupSelector(selector);
+  if (!entry) {
+    return null;
+  }
+
+  const match = await findMatchingStrategy(page, entry);
+  if (match) {
+    const key = `${match.name}|${match.index}`;
+    const logged = matchLog.get(key) || { ...match, hits: 0 };
+    logged.hits += 1;
+    matchLog.set(key, logged);
+
+    if (match.index > 0) {
+      reportLegacyMatch(entry, match.strategy);
+    }
+  }
+  return match;
+}
@@ -0,0 +1,78 @@
+import { expect } from '@playwright/test';
+
+const MAX_QUANTITY = 99;
+
+const carts = new WeakMap();
+
+export class ShadowCart {
+  constructor() {
+    this.lines = new Map();
+    this.checking = false;
+  }
+
+  static for(page) {
+    if (!carts.has(page)) {
+      carts.set(page, new ShadowCart());
+    }
+    return carts.get(page);
+  }
+
+  add({ name, unitPrice }) {
+    const line = this.lines.get(name);
+    if (line) {
+      line.quantity = Math.min(line.quantity + 1, MAX_QUANTITY);
+    } else {
+      this.lines.set(name, { name, unitPrice, quantity: 1 });
+    }
+  }
+
+  setQuantity(name, quantity) {
+    const requested = parseInt(quantity, 10);
+    if (isNaN(requested) || !this.lines.has(name)) {
+      return;
+    }
+
+    // Mirrors the storefront: 0 removes the line, negatives snap to 1, the rest is capped.
+    if (requested === 0) {
+      this.lines.delete(name);
+    } else {
+      this.lines.get(name).quantity = requested < 0 ? 1 : Math.min(requested, MAX_QUANTITY);
+    }
+  }
+
+  remove(name) {
+    this.lines.delete(name);
+  }
+
+  clear() {
+    this.lines.clear();
+  }
+
+  seed(snapshot) {
+    this.lines = new Map(snapshot.items.map(({ name, unitPrice, quantity }) => [name, { name, unitPrice, quantity }]));
+  }
+
+  getExpected() {
+    const items = [...this.lines.values()].map(line => ({
+      ...line,
+      lineTotal: line.unitPrice * line.quantity
+    }));
+
+    return {
+      items,
+      itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+      total: items.reduce((sum, item) => sum + item.lineTotal, 0)
+    };
+  }
+
+  verify(snapshot) {
+    const expected = this.getExpected();
+
+    expect(snapshot.itemCount, 'cart counter').toBe(expected.itemCount);
+    expect(snapshot.items.map(item => item.name), 'cart rows').toEqual(expected.items.map(item => item.name));
+    for (const [index, item] of expected.items.entries()) {
+      expect(snapshot.items[index], `cart row for ${item.name}`).toEqual(item);
+    }
+    expect(snapshot.total, 'cart total').toBe(expected.total);
+  }
+}
@@ -0,0 +1,22 @@
+import path from 'path';
+
+export const BLOB_REPORT_DIR = path.join(__dirname, '..', 'blob-report');
+
+export function getShard(value = process.env.SHARD) {
+  if (!value) {
+    return null;
+  }
+
+  const match = /^(\d+)\/(\d+)$/.exec(value);
+  const current = match && Number(match[1]);
+  const total = match && Number(match[2]);
+  if (!match || current < 1 || current > total) {
+    throw new Error(`Invalid SHARD "${value}". Expected <current>/<total>, e.g. 2/4`);
+  }
+
+  return { current, total };
+}
+
+export function shardName(shard = getShard()) {
+  return shard ? `shard-${shard.current}-of-${shard.total}` : null;
+}
@@ -0,0 +1,70 @@
+import { formatColones } from './money.js';
+
+const collator = new Intl.Collator('es', { sensitivity: 'base' });
+
+const byPrice = (a, b) => a.price - b.price;
+const byName = (a, b) => collator.compare(a.name, b.name);
+const byAddedAt = (a, b) => a.addedAt.localeCompare(b.addedAt);
+
+// `null` marks options whose order is set by the store (merchandising), not by a field.
+export const sortRules = {
+  featured: null,
+  'price-low': { field: 'price', compare: byPrice },
+  'price-high': { field: 'price', compare: (a, b) => byPrice(b, a) },
+  'name-asc': { field: 'name', compare: byName },
+  'name-desc': { field: 'name', compare: (a, b) => byName(b, a) },
+  newest: { field: 'addedAt', compare: (a, b) => byAddedAt(b, a) }
+};
+
+export function hasSortRule(option) {
+  return Object.hasOwn(sortRules, option);
+}
+
+export function getSortRule(option) {
+  if (!hasSortRule(option)) {
+    throw new Error(`No sort rule for option "${option}". Add one to sortRules in utils/sort-verifier.js.`);
+  }
+  return sortRules[option];
+}
+
+const hasField = (item, field) => item[field] !== null && item[field] !== undefined;
+
+// A storefront that doesn't render a rule's field on any card (only the mock has data-added-at) can't be checked for it.
+export function isSortVerifiable(option, items) {
+  const rule = getSortRule(option);
+  return !rule || items.some(item => hasField(item, rule.field));
+}
+
+export function findSortViolations(option, items) {
+  const rule = getSortRule(option);
+  if (!rule) {
+    return [];
+  }
+
+  const missing = items.filter(item => !hasField(item, rule.field));
+  if (missing.length > 0) {
+    throw new Error(`Cannot verify "${option}": ${missing.length} of ${items.length} products have no ${rule.field} (first: ${missing[0].name})`);
+  }
+
+  const violations = [];
+  for (let i = 1; i < items.length; i++) {
+    if (rule.compare(items[i - 1], items[i]) > 0) {
+      violations.push({ position: i, before: items[i - 1], after: items[i] });
+    }
+  }
+  return violations;
+}
+
+function describeItem(item, field) {
+  const value = field === 'price' ? formatColones(item.price) : item[field];
+  return field === 'name' ? `"${item.name}"` : `"${item.name}" (${value})`;
+}
+
+export function formatSortViolations(option, violations) {
+  const { field } = getSortRule(option);
+  return [
+    `"${option}" has ${violations.length} out-of-order pair${violations.length === 1 ? '' : 's'}:`,
+    ...violations.map(({ position, before, after }) =>
+      `  #${position} ${describeItem(before, field)} before #${position + 1} ${describeItem(after, field)}`)
+  ].join('\n');
+}
@@ -0,0 +1,92 @@
+import { expect } from '@playwright/test';
+
+const pendingRequests = new WeakMap();
+
+function trackRequests(page) {
+  if (!pendingRequests.has(page)) {
+    const pending = new Set();
+    page.on('request', request => pending.add(request));
+    page.on('requestfinished', request => pending.delete(request));
+    page.on('requestfailed', request => pending.delete(request));
+    pendingRequests.set(page, pending);
+  }
+  return pendingRequests.get(page);
+}
+
+export class StateWaits {
+  constructor(page) {
+    this.page = page;
+    this.pending = trackRequests(page);
+  }
+
+  async forValue(read, expected, { timeout = 5000, message } = {}) {
+    await expect.poll(read, { timeout, message }).toBe(expected);
+  }
+
+  async forValueChange(read, previous, { timeout = 5000, message } = {}) {
+    await expect.poll(read, { timeout, message }).not.toBe(previous);
+    return await read();
+  }
+
+  async forCountChange(readCount, action, { delta, timeout = 5000 } = {}) {
+    const before = await readCount();
+    await action();
+
+    if (delta === undefined) {
+      return await this.forValueChange(readCount, before, { timeout, message: `count to change from ${before}` });
+    }
+
+    await this.forValue(readCount, before + delta, { timeout, message: `count to go from ${before} to ${before + delta}` });
+    return before + delta;
+  }
+
+  async forAnimationsToFinish(selector) {
+    const element = typeof selector === 'string' ? this.page.locator(selector) : selector;
+    await element.first().evaluate(node => Promise.all(
+      node.getAnimations({ subtree: true }).map(animation => animation.finished.catch(() => null))
+    ));
+  }
+
+  async forLayout() {
+    await this.page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+  }
+
+  async forDomToSettle(selector, action, { quietPeriod = 150, timeout = 10000 } = {}) {
+    await this.page.locator(selector).first().evaluate(node => {
+      window.__stateWaitsObserver?.disconnect();
+      window.__stateWaitsLastMutation = performance.now();
+      window.__stateWaitsObserver = new MutationObserver(() => {
+        window.__stateWaitsLastMutation = performance.now();
+      });
+      window.__stateWaitsObserver.observe(node, { childList: true, subtree: true, attributes: true, characterData: true });
+    });
+
+    await action();
+
+    await this.page.waitForFunction(
+      quiet => window.__stateWaitsLastMutation === undefined || performance.now() - window.__stateWaitsLastMutation >= quiet,
+      quietPeriod,
+      { timeout }
+    );
+    await this.page.evaluate(() => window.__stateWaitsObserver?.disconnect());
+  }
+
+  async forNoPendingRequests({ quietPeriod = 100, timeout = 10000 } = {}) {
+    const deadline = Date.now() + timeout;
+    let idleSince = this.pending.size === 0 ? Date.now() : null;
+
+    while (idleSince === null || Date.now() - idleSince < quietPeriod) {
+      if (Date.now() > deadline) {
+        const urls = [...this.pending].slice(0, 5).map(request => request.url()).join(', ');
+        throw new Error(`Timed out after ${timeout}ms waiting for ${this.pending.size} pending request(s): ${urls}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 25));
+      if (this.pending.size > 0) {
+        idleSince = null;
+      } else if (idleSince === null) {
+        idleSince = Date.now();
+      }
+    }
+  }
+}
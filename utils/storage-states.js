@@ -0,0 +1,85 @@
+import path from 'path';
+import fs from 'fs';
+import { HomePage } from '../pages/HomePage.js';
+import { AdminPage } from '../pages/AdminPage.js';
+import { shardName } from './shard.js';
+
+export const STORAGE_STATE_DIR = path.join(__dirname, '..', '.auth', shardName() || '');
+
+const stateBuilders = {
+  'empty-cart': async page => {
+    const homePage = new HomePage(page);
+    await homePage.navigateToHome();
+  },
+
+  'single-item-cart': async page => {
+    const homePage = new HomePage(page);
+    await homePage.navigateToHome();
+    await homePage.addFirstProductToCart();
+  },
+
+  'mixed-cart': async page => {
+    const homePage = new HomePage(page);
+    await homePage.navigateToHome();
+    await homePage.addInStockProductsToCart(10);
+  },
+
+  'admin-session': async page => {
+    const adminPage = new AdminPage(page);
+    if (!adminPage.environment.admin) {
+      return false;
+    }
+
+    await adminPage.navigateToAdmin();
+    await adminPage.login();
+    await adminPage.verifyLoggedIn();
+  }
+};
+
+export const storageStates = Object.keys(stateBuilders);
+
+export function storageStatePath(name) {
+  if (!stateBuilders[name]) {
+    throw new Error(`Unknown storage state "${name}". Expected one of: ${storageStates.join(', ')}`);
+  }
+
+  const file = path.join(STORAGE_STATE_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Storage state "${name}" has not been generated. It is created by global setup${name === 'admin-session' ? ' when the environment has admin credentials' : ''}.`);
+  }
+  return file;
+}
+
+export async function generateStorageStates({ baseURL, browser: { browserType, launchOptions } }) {
+  fs.mkdirSync(STORAGE_STATE_DIR, { recursive: true });
+
+  const generated = [];
+  const skipped = [];
+  const browser = await browserType.launch(launchOptions);
+
+  try {
+    for (const [name, build] of Object.entries(stateBuilders)) {
+      const file = path.join(STORAGE_STATE_DIR, `${name}.json`);
+      const context = await browser.newContext({ baseURL, ignoreHTTPSErrors: true });
+
+      try {
+        const page = await context.newPage();
+        if (await build(page) === false) {
+          fs.rmSync(file, { force: true });
+          skipped.push(name);
+          continue;
+        }
+        await context.storageState({ path: file });
+        generated.push(name);
+      } catch (error) {
+        throw new Error(`Could not build storage state "${name}": ${error.message}`);
+      } finally {
+        await context.close();
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  return { generated, skipped };
+}
@@ -1,9 +1,18 @@
 import { expect } from '@playwright/test';
 import { faker } from '@faker-js/faker';
+import { getEnvironment } from '../config/environments.js';
+import { recordSelectorMatch } from './selector-registry.js';
+import { StateWaits } from './state-waits.js';
+import { fromColones, parseColones } from './money.js';
+import { CartModal } from '../pages/components/CartModal.js';
+import { Header } from '../pages/components/Header.js';
+import { Footer } from '../pages/components/Footer.js';
+import { FloatingWhatsApp } from '../pages/components/FloatingWhatsApp.js';
 
 export class TestHelpers {
   constructor(page) {
     this.page = page;
+    this.waits = new StateWaits(page);
   }
 
   async waitForPageLoad() {
@@ -12,16 +21,23 @@ export class TestHelpers {
   }
 
   async waitForElement(selector, options = {}) {
-    const element = this.page.locator(selector);
+    const element = typeof selector === 'string' ? this.page.locator(selector) : selector;
     await element.waitFor({ state: 'visible', ...options });
     await element.waitFor({ state: 'attached' });
+    await this.diagnoseSelector(selector);
     return element;
   }
 
+  async diagnoseSelector(selector) {
+    if (typeof selector !== 'string') {
+      return null;
+    }
+    return await recordSelectorMatch(this.page, selector);
+  }
+
   async safeClick(selector, options = {}) {
     const element = await this.waitForElement(selector);
     await element.click({ force: true, ...options });
-    await this.page.waitForTimeout(100);
   }
 
   async safeFill(selector, value, options = {}) {
@@ -53,6 +69,7 @@ export class TestHelpers {
   async elementExists(selector) {
     try {
       await this.page.locator(selector).waitFor({ state: 'attached', timeout: 1000 });
+      await this.diagnoseSelector(selector);
       return true;
     } catch {
       return false;
@@ -62,7 +79,6 @@ export class TestHelpers {
   async scrollIntoView(selector) {
     const element = this.page.locator(selector);
     await element.scrollIntoViewIfNeeded();
-    await this.page.waitForTimeout(200);
   }
 
   async getTextContent(selector) {
@@ -73,7 +89,6 @@ export class TestHelpers {
   async hover(selector) {
     const element = await this.waitForElement(selector);
     await element.hover();
-    await this.page.waitForTimeout(200);
   }
 
   async waitForElementToDisappear(selector, timeout = 5000) {
@@ -99,7 +114,7 @@ export class TestHelpers {
 
     for (const viewport of viewports) {
       await this.page.setViewportSize(viewport);
-      await this.page.waitForTimeout(500);
+      await this.waits.forLayout();
       await this.waitForPageLoad();
     }
   }
@@ -126,14 +141,31 @@ export class TestDataGenerator {
       'Salsa Valentina'
     ];
 
+    const price = faker.number.int({ min: 1000, max: 50000 });
+
     return {
       name: faker.helpers.arrayElement(mexicanProducts),
-      price: faker.number.int({ min: 1000, max: 50000 }),
+      price,
+      priceCentimos: fromColones(price),
       category: faker.helpers.arrayElement(['Bebidas Alcohólicas', 'Dulces y Confitería', 'Condimentos']),
       description: faker.commerce.productDescription()
     };
   }
 
+  static generateAdminProduct() {
+    const code = faker.string.alphanumeric({ length: 6, casing: 'upper' });
+
+    return {
+      name: `Tequila Prueba ${code}`,
+      brand: 'Casa Prueba',
+      line: 'tequila',
+      type: faker.helpers.arrayElement(['Blanco', 'Reposado', 'Añejo']),
+      price: fromColones(faker.number.int({ min: 10, max: 60 }) * 1000),
+      description: faker.commerce.productDescription(),
+      inStock: true
+    };
+  }
+
   static generateSearchTerm() {
     const searchTerms = [
       'tequila',
@@ -157,6 +189,12 @@ export class BasePage {
   constructor(page) {
     this.page = page;
     this.helpers = new TestHelpers(page);
+    this.waits = this.helpers.waits;
+    this.cart = new CartModal(page, this.helpers);
+    this.header = new Header(page, this.helpers);
+    this.footer = new Footer(page, this.helpers);
+    this.whatsapp = new FloatingWhatsApp(page, this.helpers);
+    this.environment = getEnvironment();
   }
 
   async navigate(path = '') {
@@ -185,7 +223,7 @@ export class BasePage {
     const loadComplete = await this.page.evaluate(() => performance.timing.loadEventEnd);
     const loadTime = loadComplete - navigationStart;
     
-    expect(loadTime).toBeLessThan(5000);
+    expect(loadTime).toBeLessThan(this.environment.budgets.pageLoad);
   }
 }
 
@@ -197,13 +235,13 @@ export class CustomAssertions {
 
   static async toHaveValidPrice(element) {
     const text = await element.textContent();
-    expect(text).toMatch(/₡[\d,]+/);
+    expect(parseColones(text), `price shown as "${text}"`).toBeGreaterThan(0);
   }
 
-  static async toHaveValidWhatsAppLink(element) {
+  static async toHaveValidWhatsAppLink(element, phone = getEnvironment().whatsappPhone) {
     const href = await element.getAttribute('href');
     expect(href).toContain('api.whatsapp.com');
-    expect(href).toContain('50687396001');
+    expect(href).toContain(phone);
   }
 
   static async toBeAccessible(page) {
@@ -0,0 +1,29 @@
+import fs from 'fs';
+import path from 'path';
+
+export const HISTORY_FILE = path.join(__dirname, '..', 'test-history', 'runs.jsonl');
+
+export function readHistory(file = HISTORY_FILE) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+export function appendHistory(summary, file = HISTORY_FILE) {
+  const entry = {
+    startedAt: summary.startedAt,
+    duration: summary.duration,
+    totals: summary.totals,
+    failures: summary.failures,
+    passedOnRetry: summary.passedOnRetry
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+  return entry;
+}
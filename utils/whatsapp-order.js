@@ -0,0 +1,61 @@
+import { parseColones } from './money.js';
+
+const ITEM_LINE = /^• (\d+) x (.+) - (₡[\d.,]+) c\/u = (₡[\d.,]+)$/;
+const TOTAL_LINE = /^Total: (₡[\d.,]+)$/;
+const NOTE_PREFIX = 'Nota: ';
+
+export class WhatsAppOrderError extends Error {
+  constructor(reason, text) {
+    super(`Could not parse WhatsApp order: ${reason}\n--- message ---\n${text}`);
+    this.name = 'WhatsAppOrderError';
+    this.text = text;
+  }
+}
+
+export function parseWhatsAppOrder(url) {
+  const { host, searchParams } = new URL(url);
+  const text = searchParams.get('text') || '';
+
+  if (host !== 'api.whatsapp.com') {
+    throw new WhatsAppOrderError(`expected an api.whatsapp.com URL, got ${host}`, text);
+  }
+
+  const [greeting, itemBlock = '', totalBlock = '', ...rest] = text.split('\n\n');
+  const noteBlock = rest.join('\n\n');
+
+  const items = itemBlock.split('\n').filter(Boolean).map(line => {
+    const match = line.match(ITEM_LINE);
+    if (!match) {
+      throw new WhatsAppOrderError(`unrecognised line item "${line}"`, text);
+    }
+
+    const [, quantity, name, unitPrice, lineTotal] = match;
+    return {
+      name,
+      unitPrice: parseColones(unitPrice),
+      quantity: Number(quantity),
+      lineTotal: parseColones(lineTotal)
+    };
+  });
+
+  if (items.length === 0) {
+    throw new WhatsAppOrderError('no line items', text);
+  }
+
+  const total = totalBlock.match(TOTAL_LINE);
+  if (!total) {
+    throw new WhatsAppOrderError(`expected "Total: ₡..." after the line items, got "${totalBlock}"`, text);
+  }
+
+  if (noteBlock && !noteBlock.startsWith(NOTE_PREFIX)) {
+    throw new WhatsAppOrderError(`unexpected text after the total: "${noteBlock}"`, text);
+  }
+
+  return {
+    phone: searchParams.get('phone'),
+    greeting,
+    items,
+    total: parseColones(total[1]),
+    note: noteBlock ? noteBlock.slice(NOTE_PREFIX.length) : null
+  };
+}